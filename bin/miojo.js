@@ -57,7 +57,9 @@ function parseArgs() {
         open: false,
         help: false,
         version: false,
-        create: false
+        create: false,
+        precompile: false,
+        out: 'templates.js'
     };
 
     for (let i = 0; i < args.length; i++) {
@@ -87,6 +89,12 @@ function parseArgs() {
             case 'create':
                 options.create = args[++i] || 'miojo-app';
                 break;
+            case 'precompile':
+                options.precompile = args[++i] || 'templates';
+                break;
+            case '--out':
+                options.out = args[++i] || options.out;
+                break;
             default:
                 if (!isNaN(parseInt(arg))) {
                     options.port = parseInt(arg);
@@ -110,6 +118,7 @@ ${colorize('bright', 'usage:')}
   ${colorize('green', 'npx miojo 8080')}               # server on port 8080
   ${colorize('green', 'npx miojo -p 3000 -o')}         # server + open browser
   ${colorize('green', 'npx miojo create my-app')}      # create new project
+  ${colorize('green', 'npx miojo precompile views')}   # precompile templates
 
 ${colorize('bright', 'options:')}
   ${colorize('yellow', '-p, --port <number>')}     server port (default: 3000)
@@ -118,6 +127,8 @@ ${colorize('bright', 'options:')}
   ${colorize('yellow', '-h, --help')}              show this help
   ${colorize('yellow', '-v, --version')}           show version
   ${colorize('yellow', 'create <name>')}           create new miojo project
+  ${colorize('yellow', 'precompile <dir>')}        precompile .html templates into a js module
+  ${colorize('yellow', '--out <file>')}            precompile output (default: templates.js)
 
 ${colorize('bright', 'examples:')}
   ${colorize('green', 'npx miojo')}
@@ -196,10 +207,10 @@ const homeTemplate = \`
                     <div class="text-6xl font-mono text-blue-600 mb-6">{{ count }}</div>
 
                     <div class="space-x-4">
-                        <button onclick="decrementCount()" class="bg-red-500 hover:bg-red-600 text-white px-6 py-2 rounded-lg transition">
+                        <button @click="decrement" class="bg-red-500 hover:bg-red-600 text-white px-6 py-2 rounded-lg transition">
                             -1
                         </button>
-                        <button onclick="incrementCount()" class="bg-green-500 hover:bg-green-600 text-white px-6 py-2 rounded-lg transition">
+                        <button @click="increment" class="bg-green-500 hover:bg-green-600 text-white px-6 py-2 rounded-lg transition">
                             +1
                         </button>
                     </div>
@@ -213,11 +224,13 @@ const homeTemplate = \`
     </div>
 \`;
 
-window.incrementCount = () => app.updateState('count', c => c + 1);
-window.decrementCount = () => app.updateState('count', c => c - 1);
+const handlers = {
+    increment: () => app.updateState('count', c => c + 1),
+    decrement: () => app.updateState('count', c => c - 1)
+};
 
 app.route('/', () => {
-    app.bindState(['appName', 'count'], homeTemplate)();
+    app.bindState(['appName', 'count'], homeTemplate, { handlers })();
 });
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -256,6 +269,56 @@ ${colorize('bright', '🚀 available commands:')}
 `);
 }
 
+function loadMiojo() {
+    try {
+        return require('../dist/miojo.min.js');
+    } catch (err) {
+        return require('../src/index.js');
+    }
+}
+
+function findTemplates(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return findTemplates(fullPath);
+        return /\.(html|hbs)$/.test(entry.name) ? [fullPath] : [];
+    });
+}
+
+function precompileTemplates(dir, outFile) {
+    const sourceDir = path.resolve(dir);
+    const { TemplateEngine } = loadMiojo();
+
+    if (!fs.existsSync(sourceDir)) {
+        console.log(`${colorize('red', '❌ Error:')} Directory '${dir}' not found!`);
+        process.exit(1);
+    }
+
+    const templates = {};
+
+    findTemplates(sourceDir).forEach((file) => {
+        const name = path.relative(sourceDir, file).replace(/\\/g, '/').replace(/\.(html|hbs)$/, '');
+        try {
+            templates[name] = JSON.parse(TemplateEngine.serialize(fs.readFileSync(file, 'utf8')));
+            console.log(`${colorize('green', '✅')} ${name}`);
+        } catch (err) {
+            console.log(`${colorize('red', '❌ Error:')} ${path.relative(process.cwd(), file)}: ${err.message}`);
+            process.exit(1);
+        }
+    });
+
+    const moduleJs = `// generated by miojo precompile - do not edit
+(function (templates) {
+    var miojo = typeof window !== 'undefined' && window.miojo ? window.miojo : require('miojo');
+    miojo.TemplateEngine.load(templates);
+})(${JSON.stringify(templates)});
+`;
+
+    fs.writeFileSync(path.resolve(outFile), moduleJs);
+
+    console.log(`${colorize('green', '✅ precompiled')} ${Object.keys(templates).length} template(s) into ${colorize('bright', outFile)}`);
+}
+
 function openBrowser(url) {
     const start = (process.platform === 'darwin' ? 'open' :
                   process.platform === 'win32' ? 'start' : 'xdg-open');
@@ -380,6 +443,11 @@ function main() {
         return;
     }
 
+    if (options.precompile) {
+        precompileTemplates(options.precompile, options.out);
+        return;
+    }
+
     startServer(options);
 }
 
@@ -387,4 +455,4 @@ if (require.main === module) {
     main();
 }
 
-module.exports = { startServer, createProject, showHelp, showVersion };
\ No newline at end of file
+module.exports = { startServer, createProject, precompileTemplates, showHelp, showVersion };
\ No newline at end of file
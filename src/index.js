@@ -16,6 +16,10 @@
 
   const TemplateEngine = (() => {
     const cache = new Map();
+    const partials = new Map();
+    const templates = new Map();
+    const helpers = new Map();
+    const filters = new Map();
     const MAX_CACHE_SIZE = 100;
 
     // HTML escaping for XSS protection
@@ -29,124 +33,508 @@
         .replace(/'/g, '&#039;');
     };
 
-    const compileVariables = (template, data = {}, escape = true) => {
-      try {
-        // Raw output with {{{ }}} (no escaping)
-        template = template.replace(/\{\{\{\s*([^}]+)\}\}\}/g, (match, key) => {
-          const value = key.split(".").reduce((obj, prop) => obj?.[prop.trim()], data);
-          return value !== undefined ? String(value) : "";
-        });
+    // Built-in blocks that require an argument; any other block calls a helper
+    const CORE_BLOCKS = new Set(['each', 'if', 'unless', 'with']);
 
-        // Regular output with {{ }} (escaped)
-        return template.replace(/\{\{\s*([^}]+)\s*\}\}/g, (match, key) => {
-          const value = key.split(".").reduce((obj, prop) => obj?.[prop.trim()], data);
-          return value !== undefined ? (escape ? escapeHTML(value) : String(value)) : "";
-        });
-      } catch (error) {
-        console.error('Template variable compilation error:', error);
-        return template;
+    // Classify the content of a {{ }} tag
+    const classifyTag = (content) => {
+      if (content.startsWith('!')) return null;
+      if (content.startsWith('#')) {
+        const [name, ...rest] = content.slice(1).trim().split(/\s+/);
+        return { type: 'open', name, expr: rest.join(' ') };
+      }
+      if (content.startsWith('/')) return { type: 'close', name: content.slice(1).trim() };
+      if (content.startsWith('>')) {
+        const [name, ...rest] = content.slice(1).trim().split(/\s+/);
+        return { type: 'partial', name, expr: rest.join(' ') };
       }
+      if (content === 'else') return { type: 'else' };
+      return { type: 'var', expr: content };
     };
 
-    const compileEach = (template, data = {}) => {
-      try {
-        return template.replace(
-          /\{\{#each\s+(\w+)\}\}([\s\S]*?)\{\{\/each\}\}/g,
-          (match, arrayKey, loopTemplate) => {
-            const array = data[arrayKey];
-            if (!Array.isArray(array)) return "";
-
-            return array
-              .map((item, index) => {
-                let compiled = loopTemplate;
-
-                // Support nested properties: {{ this.user.name }}
-                compiled = compiled.replace(/\{\{\s*this\.([\w.]+)\s*\}\}/g, (match, prop) => {
-                  const value = prop.split('.').reduce((obj, p) => obj?.[p], item);
-                  return value !== undefined ? escapeHTML(value) : "";
-                });
-
-                // Support simple this
-                compiled = compiled.replace(/\{\{\s*this\s*\}\}/g, escapeHTML(item));
-
-                // Support @index
-                compiled = compiled.replace(/\{\{\s*@index\s*\}\}/g, String(index));
-
-                // Support @first, @last
-                compiled = compiled.replace(/\{\{\s*@first\s*\}\}/g, String(index === 0));
-                compiled = compiled.replace(/\{\{\s*@last\s*\}\}/g, String(index === array.length - 1));
-
-                return compiled;
-              })
-              .join("");
-          }
-        );
-      } catch (error) {
-        console.error('Template each compilation error:', error);
-        return template;
+    // Split a template into text and tag tokens
+    const tokenize = (template) => {
+      const tokens = [];
+      let pos = 0;
+
+      while (pos < template.length) {
+        const start = template.indexOf('{{', pos);
+        if (start === -1) {
+          tokens.push({ type: 'text', value: template.slice(pos) });
+          break;
+        }
+        if (start > pos) {
+          tokens.push({ type: 'text', value: template.slice(pos, start) });
+        }
+
+        // {{!-- --}} comments may contain mustaches
+        if (template.startsWith('{{!--', start)) {
+          const end = template.indexOf('--}}', start + 5);
+          if (end === -1) throw new Error(`Unclosed comment at position ${start}`);
+          pos = end + 4;
+          continue;
+        }
+
+        const raw = template.startsWith('{{{', start);
+        const open = raw ? 3 : 2;
+        const end = template.indexOf(raw ? '}}}' : '}}', start + open);
+        if (end === -1) throw new Error(`Unclosed tag at position ${start}`);
+
+        const content = template.slice(start + open, end).trim();
+        pos = end + open;
+
+        const token = raw ? { type: 'raw', expr: content } : classifyTag(content);
+        if (token) tokens.push(token);
       }
+
+      return tokens;
     };
 
-    const compileIf = (template, data = {}) => {
-      try {
-        // Support if/else blocks
-        template = template.replace(
-          /\{\{#if\s+(\w+)\}\}([\s\S]*?)\{\{else\}\}([\s\S]*?)\{\{\/if\}\}/g,
-          (match, condition, truthy, falsy) => {
-            return data[condition] ? truthy : falsy;
+    // `@click="handler"` is shorthand for `data-on-click="handler"` (see EventDirectives)
+    const expandDirectives = (text) => text.replace(/(^|\s)@([a-z][\w.:-]*)(?=\s*=)/gi, '$1data-on-$2');
+
+    // Build a node tree from tokens, matching every block with its closing tag
+    const parse = (template) => {
+      const root = { type: 'root', children: [] };
+      const stack = [root];
+      let target = root.children;
+
+      tokenize(template).forEach((token) => {
+        const current = stack[stack.length - 1];
+
+        switch (token.type) {
+          case 'open': {
+            if (CORE_BLOCKS.has(token.name) && !token.expr) throw new Error(`Missing argument for {{#${token.name}}}`);
+            const node = { type: 'block', name: token.name, expr: token.expr, children: [], inverse: null };
+            target.push(node);
+            stack.push(node);
+            target = node.children;
+            break;
           }
-        );
 
-        // Regular if blocks
-        return template.replace(
-          /\{\{#if\s+(\w+)\}\}([\s\S]*?)\{\{\/if\}\}/g,
-          (match, condition, content) => {
-            return data[condition] ? content : "";
+          case 'else':
+            if (current === root || current.inverse) throw new Error('Unexpected {{else}}');
+            current.inverse = [];
+            target = current.inverse;
+            break;
+
+          case 'close': {
+            if (current === root || current.name !== token.name) {
+              throw new Error(`Unexpected {{/${token.name}}}` +
+                (current === root ? '' : `, expected {{/${current.name}}}`));
+            }
+            stack.pop();
+            const parent = stack[stack.length - 1];
+            target = parent.inverse || parent.children;
+            break;
           }
-        );
-      } catch (error) {
-        console.error('Template if compilation error:', error);
-        return template;
+
+          case 'text':
+            target.push({ type: 'text', value: expandDirectives(token.value) });
+            break;
+
+          default:
+            target.push(token);
+        }
+      });
+
+      if (stack.length > 1) {
+        throw new Error(`Unclosed block: {{#${stack[stack.length - 1].name}}}`);
       }
+
+      return root.children;
     };
 
-    const compileUnless = (template, data = {}) => {
-      try {
-        return template.replace(
-          /\{\{#unless\s+(\w+)\}\}([\s\S]*?)\{\{\/unless\}\}/g,
-          (match, condition, content) => {
-            return !data[condition] ? content : "";
+    // Names resolve to own properties only, so {{ constructor }} or {{ toString }}
+    // never reach Object.prototype
+    const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+    // Rendering scope: current context, its parent scope and loop locals (@index, ...)
+    const createScope = (data, parent = null, locals = {}) => ({
+      data,
+      parent,
+      locals,
+      root: parent ? parent.root : data,
+      escape: parent ? parent.escape : true,
+      // App whose view is being rendered, if any
+      app: parent ? parent.app : null
+    });
+
+    const getter = (path) => {
+      const props = path.split('.').map((prop) => prop.trim());
+      return (obj) => props.reduce((acc, prop) => acc?.[prop], obj);
+    };
+
+    // Turn a path into a function resolving it against the scope chain
+    const compilePath = (path) => {
+      if (path === 'this' || path === '.') return (scope) => scope.data;
+
+      if (path.startsWith('this.')) {
+        const get = getter(path.slice(5));
+        return (scope) => get(scope.data);
+      }
+
+      if (path.startsWith('../')) {
+        const resolveParent = compilePath(path.slice(3));
+        return (scope) => (scope.parent ? resolveParent(scope.parent) : undefined);
+      }
+
+      if (path.startsWith('@root.')) {
+        const get = getter(path.slice(6));
+        return (scope) => get(scope.root);
+      }
+
+      if (path.startsWith('@')) {
+        const name = path.slice(1);
+        return (scope) => {
+          for (let s = scope; s; s = s.parent) {
+            if (hasOwn(s.locals, name)) return s.locals[name];
           }
-        );
-      } catch (error) {
-        console.error('Template unless compilation error:', error);
-        return template;
+          return undefined;
+        };
       }
+
+      // Plain names look in the current context first, then outer contexts
+      const head = path.split('.')[0].trim();
+      const get = getter(path);
+      return (scope) => {
+        for (let s = scope; s; s = s.parent) {
+          if (s.data !== null && typeof s.data === 'object' && hasOwn(s.data, head)) {
+            return get(s.data);
+          }
+        }
+        return undefined;
+      };
     };
 
-    const compile = curry((data, template) => {
-      try {
-        // Check cache first
-        const cacheKey = JSON.stringify({ template, data });
-        if (cache.has(cacheKey)) {
-          return cache.get(cacheKey);
+    // Split an expression into words, strings, parens and pipes
+    const lexExpression = (source) => {
+      const tokens = [];
+      let i = 0;
+
+      while (i < source.length) {
+        const char = source[i];
+
+        if (/\s/.test(char)) {
+          i++;
+        } else if (char === '"' || char === "'") {
+          const end = source.indexOf(char, i + 1);
+          if (end === -1) throw new Error(`Unterminated string in expression: ${source}`);
+          tokens.push({ type: 'string', value: source.slice(i + 1, end) });
+          i = end + 1;
+        } else if (char === '(' || char === ')' || char === '|') {
+          tokens.push({ type: char });
+          i++;
+        } else {
+          let end = i;
+          while (end < source.length && !/[\s()|"']/.test(source[end])) end++;
+          tokens.push({ type: 'word', value: source.slice(i, end) });
+          i = end;
+        }
+      }
+
+      return tokens;
+    };
+
+    const LITERALS = { true: true, false: false, null: null, undefined: undefined };
+
+    const wordToNode = (word) => {
+      if (hasOwn(LITERALS, word)) return { type: 'literal', value: LITERALS[word] };
+      if (/^-?\d+(\.\d+)?$/.test(word)) return { type: 'literal', value: Number(word) };
+      return { type: 'path', path: word };
+    };
+
+    // Parse an expression: `path`, `helper arg key=value`, `(sub expr)`, `value | filter arg`.
+    // With `asArguments`, parse a block helper's argument list into { args, hash } instead.
+    const parseExpression = (source, asArguments = false) => {
+      const tokens = lexExpression(source);
+      let pos = 0;
+
+      const parseTerm = () => {
+        const token = tokens[pos++];
+        if (!token) throw new Error(`Unexpected end of expression: ${source}`);
+        if (token.type === 'string') return { type: 'literal', value: token.value };
+        if (token.type === 'word') return wordToNode(token.value);
+        if (token.type === '(') {
+          const node = parseCall();
+          if (tokens[pos++]?.type !== ')') throw new Error(`Missing ) in expression: ${source}`);
+          return node;
         }
+        throw new Error(`Unexpected "${token.type}" in expression: ${source}`);
+      };
 
-        const result = pipe(
-          (tmpl) => compileEach(tmpl, data),
-          (tmpl) => compileIf(tmpl, data),
-          (tmpl) => compileUnless(tmpl, data),
-          (tmpl) => compileVariables(tmpl, data)
-        )(template);
+      // Arguments and key=value pairs up to the next pipe or closing paren
+      const parseArgs = () => {
+        const args = [];
+        const hash = {};
 
-        // Cache with size limit (LRU-like behavior)
-        if (cache.size >= MAX_CACHE_SIZE) {
-          const firstKey = cache.keys().next().value;
-          cache.delete(firstKey);
+        while (pos < tokens.length && tokens[pos].type !== '|' && tokens[pos].type !== ')') {
+          const token = tokens[pos];
+          const pair = token.type === 'word' && token.value.match(/^([\w-]+)=(.*)$/);
+
+          if (pair) {
+            pos++;
+            hash[pair[1]] = pair[2] ? wordToNode(pair[2]) : parseTerm();
+          } else {
+            args.push(parseTerm());
+          }
         }
-        cache.set(cacheKey, result);
 
+        return { args, hash };
+      };
+
+      const parseCall = () => {
+        const head = parseTerm();
+        const { args, hash } = parseArgs();
+
+        if (args.length === 0 && Object.keys(hash).length === 0) return head;
+        if (head.type !== 'path') throw new Error(`Expected a helper name in expression: ${source}`);
+        return { type: 'call', name: head.path, args, hash };
+      };
+
+      if (asArguments) {
+        const result = parseArgs();
+        if (pos < tokens.length) throw new Error(`Unexpected token in expression: ${source}`);
         return result;
+      }
+
+      let node = parseCall();
+
+      while (pos < tokens.length) {
+        if (tokens[pos++].type !== '|') throw new Error(`Unexpected token in expression: ${source}`);
+        const name = tokens[pos++];
+        if (name?.type !== 'word') throw new Error(`Expected a filter name in expression: ${source}`);
+        node = { type: 'filter', name: name.value, input: node, ...parseArgs() };
+      }
+
+      return node;
+    };
+
+    // Options object handed to helpers as their last argument
+    const helperOptions = (scope, hash, body, inverse) => ({
+      hash,
+      data: scope.locals,
+      root: scope.root,
+      app: scope.app,
+      fn: (context = scope.data, locals = {}) => body(createScope(context, scope, locals)),
+      inverse: (context = scope.data, locals = {}) => inverse(createScope(context, scope, locals))
+    });
+
+    const noContent = () => "";
+
+    const compileHash = (hash) => {
+      const entries = Object.entries(hash).map(([key, node]) => [key, compileExpression(node)]);
+      return (scope) => entries.reduce((acc, [key, resolveValue]) => {
+        acc[key] = resolveValue(scope);
+        return acc;
+      }, {});
+    };
+
+    // Turn an expression into a function of the scope
+    const compileExpression = (expr) => {
+      const node = typeof expr === 'string' ? parseExpression(expr) : expr;
+
+      switch (node.type) {
+        case 'literal': {
+          const { value } = node;
+          return () => value;
+        }
+
+        case 'path': {
+          const resolvePath = compilePath(node.path);
+          // A bare helper name with no matching data calls the helper
+          return (scope) => {
+            const value = resolvePath(scope);
+            if (value === undefined && helpers.has(node.path)) {
+              return helpers.get(node.path).call(scope.data, helperOptions(scope, {}, noContent, noContent));
+            }
+            return value;
+          };
+        }
+
+        case 'call': {
+          const args = node.args.map(compileExpression);
+          const resolveHash = compileHash(node.hash);
+          return (scope) => {
+            const helper = helpers.get(node.name);
+            if (!helper) throw new Error(`Unknown helper: ${node.name}`);
+            const options = helperOptions(scope, resolveHash(scope), noContent, noContent);
+            return helper.call(scope.data, ...args.map((arg) => arg(scope)), options);
+          };
+        }
+
+        case 'filter': {
+          const input = compileExpression(node.input);
+          const args = node.args.map(compileExpression);
+          return (scope) => {
+            const filter = filters.get(node.name);
+            if (!filter) throw new Error(`Unknown filter: ${node.name}`);
+            return filter(input(scope), ...args.map((arg) => arg(scope)));
+          };
+        }
+
+        default:
+          throw new Error(`Unknown expression: ${node.type}`);
+      }
+    };
+
+    const output = (value, escape) => {
+      if (value === undefined || value === null) return "";
+      return escape ? escapeHTML(value) : String(value);
+    };
+
+    const compileEachBlock = (node) => {
+      const resolveList = compileExpression(node.expr);
+      const body = compileNodes(node.children);
+      const inverse = node.inverse ? compileNodes(node.inverse) : () => "";
+
+      return (scope) => {
+        const list = resolveList(scope);
+        const entries = Array.isArray(list)
+          ? list.map((item, index) => [index, item])
+          : list && typeof list === 'object' ? Object.entries(list) : [];
+
+        if (entries.length === 0) return inverse(scope);
+
+        let html = "";
+        entries.forEach(([key, item], index) => {
+          html += body(createScope(item, scope, {
+            index,
+            key,
+            first: index === 0,
+            last: index === entries.length - 1
+          }));
+        });
+        return html;
+      };
+    };
+
+    const compileBlock = (node) => {
+      if (node.name === 'each') return compileEachBlock(node);
+
+      const body = compileNodes(node.children);
+      const inverse = node.inverse ? compileNodes(node.inverse) : noContent;
+
+      if (node.name === 'if' || node.name === 'unless') {
+        const resolveValue = compileExpression(node.expr);
+        const negate = node.name === 'unless';
+        return (scope) => (!resolveValue(scope) === negate ? body(scope) : inverse(scope));
+      }
+
+      // Block helpers receive their arguments plus { fn, inverse, hash }
+      const call = parseExpression(node.expr, true);
+      const args = call.args.map(compileExpression);
+      const resolveHash = compileHash(call.hash);
+
+      return (scope) => {
+        const helper = helpers.get(node.name);
+        if (!helper) throw new Error(`Unknown block helper: {{#${node.name}}}`);
+        const options = helperOptions(scope, resolveHash(scope), body, inverse);
+        const result = helper.call(scope.data, ...args.map((arg) => arg(scope)), options);
+        return result === undefined || result === null ? "" : String(result);
+      };
+    };
+
+    // Partials are looked up at render time so they can be registered in any order
+    // `{{> name}}`, `{{> name context}}` and `{{> name key=value}}` (hash merged over the context)
+    const compilePartial = (node) => {
+      const { args, hash } = parseExpression(node.expr, true);
+      const resolveContext = args[0] ? compileExpression(args[0]) : null;
+      const resolveHash = Object.keys(hash).length ? compileHash(hash) : null;
+
+      return (scope) => {
+        if (!partials.has(node.name)) throw new Error(`Partial not found: ${node.name}`);
+        if (!resolveContext && !resolveHash) return partials.get(node.name)(scope);
+
+        const context = resolveContext ? resolveContext(scope) : scope.data;
+        const data = resolveHash ? { ...context, ...resolveHash(scope) } : context;
+        return partials.get(node.name)(createScope(data, scope));
+      };
+    };
+
+    const compileNode = (node) => {
+      switch (node.type) {
+        case 'text': {
+          const { value } = node;
+          return () => value;
+        }
+        case 'var': {
+          const resolveValue = compileExpression(node.expr);
+          return (scope) => output(resolveValue(scope), scope.escape);
+        }
+        case 'raw': {
+          const resolveValue = compileExpression(node.expr);
+          return (scope) => output(resolveValue(scope), false);
+        }
+        case 'block': return compileBlock(node);
+        case 'partial': return compilePartial(node);
+        default: return () => "";
+      }
+    };
+
+    // Compile a node tree into a single function of the scope
+    const compileNodes = (nodes) => {
+      const parts = nodes.map(compileNode);
+      return (scope) => {
+        let html = "";
+        for (let i = 0; i < parts.length; i++) html += parts[i](scope);
+        return html;
+      };
+    };
+
+    // Compiled templates keyed by template string (LRU)
+    const compileTemplate = (template) => {
+      if (cache.has(template)) {
+        const fn = cache.get(template);
+        cache.delete(template);
+        cache.set(template, fn);
+        return fn;
+      }
+
+      const fn = compileNodes(parse(template));
+
+      if (cache.size >= MAX_CACHE_SIZE) {
+        const firstKey = cache.keys().next().value;
+        cache.delete(firstKey);
+      }
+      cache.set(template, fn);
+
+      return fn;
+    };
+
+    const toRenderer = (fn) => (data = {}, app = null) => {
+      const scope = createScope(data);
+      scope.app = app;
+      return fn(scope);
+    };
+
+    // Compile a template once into a reusable (data, app) => html function; helpers
+    // see `app` as options.app
+    const precompile = (template) => toRenderer(compileTemplate(template));
+
+    // Render without HTML escaping, for plain text such as document titles
+    const renderText = (template, data = {}, app = null) => {
+      const scope = createScope(data);
+      scope.escape = false;
+      scope.app = app;
+      return compileTemplate(template)(scope);
+    };
+
+    // Legacy entry points, kept for compatibility: each one now renders the full template
+    const legacy = (name) => (template, data = {}, escape = true) => {
+      try {
+        const scope = createScope(data);
+        scope.escape = escape;
+        return compileTemplate(template)(scope);
+      } catch (error) {
+        console.error(`Template ${name} compilation error:`, error);
+        return template;
+      }
+    };
+
+    const compile = curry((data, template, app = null) => {
+      try {
+        return precompile(template)(data, app);
       } catch (error) {
         console.error('Template compilation error:', error);
         return `<div style="color: red; padding: 20px; border: 2px solid red;">
@@ -155,12 +543,94 @@
       }
     });
 
+    // Register a reusable template fragment, rendered with {{> name}}
+    // A partial may also be a function of its context returning HTML
+    const registerPartial = (name, template) => {
+      partials.set(name, typeof template === 'function'
+        ? (scope) => template(scope.data)
+        : compileNodes(parse(template)));
+      return TemplateEngine;
+    };
+
+    // Helpers are called as `{{ name arg key=value }}` or `{{#name arg}}...{{/name}}`
+    // and receive their arguments followed by an options object
+    const registerHelper = (name, fn) => {
+      if (typeof fn !== 'function') throw new Error(`Helper "${name}" must be a function`);
+      helpers.set(name, fn);
+      return TemplateEngine;
+    };
+
+    // Filters are applied with `{{ value | name arg }}` and receive the value first
+    const registerFilter = (name, fn) => {
+      if (typeof fn !== 'function') throw new Error(`Filter "${name}" must be a function`);
+      filters.set(name, fn);
+      return TemplateEngine;
+    };
+
+    // Built-in helpers (the options object is always the last argument)
+    const values = (args) => args.slice(0, -1);
+
+    helpers.set('with', (context, options) => (context ? options.fn(context) : options.inverse()));
+    helpers.set('eq', (a, b) => a === b);
+    helpers.set('ne', (a, b) => a !== b);
+    helpers.set('not', (value) => !value);
+    helpers.set('and', (...args) => values(args).every(Boolean));
+    helpers.set('or', (...args) => values(args).some(Boolean));
+    helpers.set('lookup', (obj, key) => obj?.[key]);
+
+    // Built-in filters
+    filters.set('upper', (value) => String(value ?? "").toUpperCase());
+    filters.set('lower', (value) => String(value ?? "").toLowerCase());
+    filters.set('default', (value, fallback) => (value === undefined || value === null || value === "" ? fallback : value));
+    filters.set('json', (value) => JSON.stringify(value));
+    filters.set('number', (value, digits = 0, locale) =>
+      new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(Number(value)));
+    filters.set('currency', (value, currency = 'USD', locale) =>
+      new Intl.NumberFormat(locale, { style: 'currency', currency }).format(Number(value)));
+    filters.set('date', (value, locale) => new Date(value).toLocaleDateString(locale));
+    filters.set('pluralize', (count, singular, plural = `${singular}s`) =>
+      `${count} ${Number(count) === 1 ? singular : plural}`);
+
+    // Serialize a template's node tree so it can be shipped without the source
+    const serialize = (template) => JSON.stringify(parse(template));
+
+    // Load templates serialized ahead of time (see `miojo precompile`).
+    // Each one becomes a named template and a partial of the same name.
+    const load = (serialized) => {
+      Object.entries(serialized).forEach(([name, nodes]) => {
+        const tree = typeof nodes === 'string' ? JSON.parse(nodes) : nodes;
+        const fn = compileNodes(tree);
+        partials.set(name, fn);
+        templates.set(name, toRenderer(fn));
+      });
+      return TemplateEngine;
+    };
+
+    const template = (name) => {
+      if (!templates.has(name)) throw new Error(`Template not found: ${name}`);
+      return templates.get(name);
+    };
+
     return {
-      compileVariables,
-      compileEach,
-      compileIf,
-      compileUnless,
+      compileVariables: legacy('variable'),
+      compileEach: legacy('each'),
+      compileIf: legacy('if'),
+      compileUnless: legacy('unless'),
       compile,
+      precompile,
+      renderText,
+      serialize,
+      load,
+      template,
+      tokenize,
+      parse,
+      registerPartial,
+      registerHelper,
+      registerFilter,
+      unregisterPartial: (name) => {
+        partials.delete(name);
+        return TemplateEngine;
+      },
       escapeHTML,
       clearCache: () => cache.clear()
     };
@@ -170,13 +640,51 @@
   // ROUTER
   // ============================================================================
 
-  const Router = (() => {
+  // Each app owns a router: its routes, guards, history position and listeners
+  const createRouter = () => {
     const routes = new Map();
+    const names = new Map();
     const beforeRouteCallbacks = [];
     const afterRouteCallbacks = [];
     let basePath = "";
     let notFoundHandler = null;
 
+    // Levels of the nested route currently on screen ({ level, params }, outermost first)
+    // and the hooks the app uses to point each level at its render target
+    let active = [];
+    let levelHooks = { enter: () => {}, leave: () => {}, render: () => {} };
+
+    // Removes each listener and observer init() installed
+    const teardown = [];
+
+    // Where the URL lives ('history', 'hash' or 'memory') and app-wide defaults for
+    // routes that load data
+    const settings = {
+      mode: "history", initialPath: "/", scroll: undefined, prefetch: "hover", pendingView: null, errorView: null,
+    };
+
+    // History of the 'memory' mode ({ url, key } entries), which never touches window.location
+    const memory = { entries: [], index: -1 };
+
+    // Every history entry gets a key; scroll positions are saved per key when leaving it
+    const scrollPositions = new Map();
+    let entryKey = null;
+    let keyCount = 0;
+    const createKey = () => `${Date.now().toString(36)}-${++keyCount}`;
+
+    // Index of the current entry in the browser history, kept in history.state so a
+    // back/forward move knows how far it went (null when an entry has none)
+    let position = 0;
+    // Set while a cancelled back/forward is undone, so its popstate is ignored
+    let restoringPosition = false;
+
+    // Scroll handling is on by default, except in memory mode where the page isn't ours
+    const handlesScroll = () => (settings.scroll === undefined ? settings.mode !== "memory" : settings.scroll);
+
+    // Loader results by path, then by route level; the controller of the loads in flight
+    const loadCache = new Map();
+    let loadController = null;
+
     const norm = (s) => (s.endsWith("/") && s !== "/" ? s.slice(0, -1) : s);
 
     const setBase = (b) => {
@@ -196,233 +704,1473 @@
     };
 
     // Sanitize route parameters to prevent XSS
-    const sanitizeParam = (param) => {
-      return decodeURIComponent(param)
-        .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-        .replace(/javascript:/gi, '')
-        .replace(/on\w+\s*=/gi, '');
+    const stripUnsafe = (value) => value
+      .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
+      .replace(/javascript:/gi, '')
+      .replace(/on\w+\s*=/gi, '');
+
+    const sanitizeParam = (param) => stripUnsafe(decodeURIComponent(param));
+
+    // "?page=2&tag=a&tag=b" -> { page: '2', tag: ['a', 'b'] }
+    const parseQuery = (search) => {
+      const query = {};
+      new URLSearchParams(search).forEach((value, key) => {
+        const clean = stripUnsafe(value);
+        if (!(key in query)) query[key] = clean;
+        else query[key] = [].concat(query[key], clean);
+      });
+      return query;
     };
 
-    // Enhanced parameter extraction with wildcard support
-    const extractParams = (pattern, path) => {
-      const patternParts = pattern.split("/");
-      const pathParts = path.split("/");
-
-      const params = {};
-
-      for (let i = 0; i < patternParts.length; i++) {
-        const patternPart = patternParts[i];
-
-        // Wildcard support
-        if (patternPart === "*") {
-          params.wildcard = pathParts.slice(i).map(sanitizeParam).join('/');
-          return params;
-        }
-
-        // Named parameter
-        if (patternPart.startsWith(":")) {
-          if (!pathParts[i]) return null;
-          params[patternPart.slice(1)] = sanitizeParam(pathParts[i]);
-        } else if (patternPart !== pathParts[i]) {
-          return null;
-        }
-      }
-
-      return pathParts.length === patternParts.length ? params : null;
+    // { page: 2, tag: ['a', 'b'] } -> "?page=2&tag=a&tag=b"; null and undefined are left out
+    const stringifyQuery = (query = {}) => {
+      const search = new URLSearchParams();
+      Object.entries(query).forEach(([key, value]) => {
+        [].concat(value).forEach((v) => {
+          if (v !== null && v !== undefined) search.append(key, v);
+        });
+      });
+      const str = search.toString();
+      return str ? "?" + str : "";
     };
 
-    const findRoute = (path) => {
-      // Exact match first
-      if (routes.has(path)) {
-        return { handler: routes.get(path), params: {} };
+    const sameQuery = (a, b) => stringifyQuery(a) === stringifyQuery(b);
+
+    // Split "/path?query#hash" (or { path, query, hash }) into its parts. An object
+    // without a path keeps the current path and query, so navigate({ query }) only
+    // changes the query and navigate({ hash }) only the hash.
+    const parseTarget = (target, from) => {
+      const nav = typeof target === "string" ? { path: target.replace(/^#(?=\/)/, "") } : { ...target };
+      if (nav.name) nav.path = addBase(buildPath(nav.name, nav.params));
+      const keep = nav.path === undefined && from;
+      let path = keep ? addBase(from.path) : nav.path || "/";
+      let hash = "";
+      let search = keep ? stringifyQuery(from.query) : "";
+
+      const hashAt = path.indexOf("#");
+      if (hashAt !== -1) {
+        hash = path.slice(hashAt + 1);
+        path = path.slice(0, hashAt);
       }
 
-      // Pattern matching
-      for (const [pattern, handler] of routes) {
-        const params = extractParams(pattern, path);
-        if (params) return { handler, params };
+      const searchAt = path.indexOf("?");
+      if (searchAt !== -1) {
+        search = path.slice(searchAt);
+        path = path.slice(0, searchAt);
       }
 
-      return null;
+      return {
+        path: stripBase(path),
+        // Queries given as objects are normalized to what reading them back from the URL gives
+        query: parseQuery(nav.query !== undefined ? stringifyQuery(nav.query) : search),
+        hash: nav.hash !== undefined ? String(nav.hash).replace(/^#/, "") : hash,
+        replace: !!nav.replace,
+      };
     };
 
-    const navigate = async (anyPath) => {
-      const rel = stripBase(anyPath);
+    // Path, query and hash of a route, relative to the base path
+    const urlOf = ({ path, query, hash }) => path + stringifyQuery(query) + (hash ? "#" + hash : "");
 
-      // Execute before route callbacks
-      const beforeResults = beforeRouteCallbacks.map((cb) => cb(rel));
-      if (beforeResults.some((r) => r === false)) return;
+    const scrollToHash = (hash) => {
+      if (!hash) return false;
+      const id = decodeURIComponent(hash);
+      const target = document.getElementById(id) || document.getElementsByName(id)[0];
+      if (target && target.scrollIntoView) target.scrollIntoView();
+      return !!target;
+    };
 
-      const route = findRoute(rel);
+    const saveScroll = () => {
+      if (handlesScroll() && entryKey) scrollPositions.set(entryKey, { x: window.scrollX, y: window.scrollY });
+    };
 
-      if (route) {
-        try {
-          await route.handler(route.params);
-          afterRouteCallbacks.forEach((cb) => cb(rel, route.params));
-        } catch (error) {
-          console.error('Route handler error:', error);
-          if (notFoundHandler) {
-            notFoundHandler({ error, path: rel });
-          }
-        }
-      } else if (notFoundHandler) {
-        notFoundHandler({ path: rel });
+    // After rendering: back/forward restores the entry's position, other navigations
+    // go to the anchor or the top. The first render leaves the browser's position alone.
+    const restoreScroll = (to, mode) => {
+      if (!handlesScroll()) return;
+
+      const saved = mode === "pop" && scrollPositions.get(entryKey);
+      if (saved) {
+        window.scrollTo(saved.x, saved.y);
+      } else if (!scrollToHash(to.hash) && mode !== "none") {
+        window.scrollTo(0, 0);
       }
     };
 
-    return {
-      add: curry((path, handler) => {
-        routes.set(path, handler);
-        return Router;
-      }),
-
-      navigate,
-      setBase,
+    // "/users/:id(\\d+)/:tab?/*rest" -> one descriptor per segment: static text, a param
+    // (optionally constrained by a regex and/or optional) or a splat taking the rest
+    const compilePattern = (pattern) => pattern.split("/").filter(Boolean).map((part) => {
+      if (part.startsWith("*")) return { type: "splat", name: part.slice(1) || "wildcard" };
 
-      beforeRoute: (cb) => {
-        beforeRouteCallbacks.push(cb);
-        return Router;
-      },
+      const match = part.match(/^:(\w+)(?:\((.+)\))?(\?)?$/);
+      if (!match) return { type: "static", value: part };
 
-      afterRoute: (cb) => {
-        afterRouteCallbacks.push(cb);
-        return Router;
-      },
+      return {
+        type: "param",
+        name: match[1],
+        source: match[2] || null,
+        constraint: match[2] ? new RegExp(`^(?:${match[2]})$`) : null,
+        optional: !!match[3],
+      };
+    });
 
-      notFound: (handler) => {
-        notFoundHandler = handler;
-        return Router;
-      },
+    // Constrained params holding a number are passed as numbers
+    const coerceParam = (segment, value) =>
+      segment.constraint && /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
 
-      init: () => {
-        window.addEventListener("popstate", () => navigate(location.pathname));
+    // Match path parts against segments, backtracking over optional params
+    const matchSegments = (segments, parts, i = 0, j = 0, params = {}) => {
+      if (i === segments.length) return j === parts.length ? params : null;
 
-        document.addEventListener("click", (e) => {
-          const anchor = e.target.closest("a[href]");
-          if (!anchor) return;
+      const segment = segments[i];
 
-          const href = anchor.getAttribute("href");
-          if (/^https?:\/\//i.test(href) || href.startsWith("#")) return;
+      if (segment.type === "static") {
+        return parts[j] === segment.value ? matchSegments(segments, parts, i + 1, j + 1, params) : null;
+      }
 
-          e.preventDefault();
-          const rel = href.startsWith("/") ? href : "/" + href;
-          const abs = addBase(rel);
-          history.pushState(null, "", abs);
-          navigate(abs);
-        });
+      // Splats take the rest of the path, possibly nothing
+      if (segment.type === "splat") {
+        const rest = parts.slice(j).map(sanitizeParam).join("/");
+        return matchSegments(segments, parts, i + 1, parts.length, { ...params, [segment.name]: rest });
+      }
 
-        if (stripBase(location.pathname) === "/" && !location.pathname.endsWith("/")) {
-          history.replaceState(null, "", addBase("/"));
+      if (j < parts.length) {
+        const value = sanitizeParam(parts[j]);
+        if (!segment.constraint || segment.constraint.test(value)) {
+          const matched = matchSegments(segments, parts, i + 1, j + 1, {
+            ...params,
+            [segment.name]: coerceParam(segment, value),
+          });
+          if (matched) return matched;
         }
+      }
 
-        navigate(location.pathname);
-        return Router;
-      },
+      return segment.optional ? matchSegments(segments, parts, i + 1, j, params) : null;
     };
-  })();
-
-  // ============================================================================
-  // STATE MANAGEMENT
-  // ============================================================================
 
-  const State = (() => {
-    const store = new Map();
-    const subscribers = new Map();
-    const persistKeys = new Set();
-    const STORAGE_KEY = 'miojo_state';
-
-    // Load persisted state from localStorage
-    const loadPersisted = () => {
-      try {
-        if (typeof localStorage === 'undefined') return;
+    // Specificity per segment; a route that ends here ranks between params and optionals,
+    // so "/docs" beats "/docs/:page?" and "/docs/*" for "/docs"
+    const segmentRank = (segment) => {
+      if (!segment) return 2;
+      if (segment.type === "static") return 5;
+      if (segment.type === "splat") return 0;
+      if (segment.optional) return 1;
+      return segment.constraint ? 4 : 3;
+    };
 
-        const saved = localStorage.getItem(STORAGE_KEY);
-        if (saved) {
-          const parsed = JSON.parse(saved);
-          Object.entries(parsed).forEach(([key, value]) => {
-            store.set(key, value);
-          });
-        }
-      } catch (error) {
-        console.warn('Failed to load persisted state:', error);
+    // More specific routes first, segment by segment; ties keep registration order
+    const compareRoutes = (a, b) => {
+      const length = Math.max(a.segments.length, b.segments.length);
+      for (let i = 0; i < length; i++) {
+        const diff = segmentRank(b.segments[i]) - segmentRank(a.segments[i]);
+        if (diff) return diff;
       }
+      return 0;
     };
 
-    // Save persisted state to localStorage
-    const savePersisted = () => {
-      try {
-        if (typeof localStorage === 'undefined') return;
+    let ranked = [];
 
-        const toSave = {};
-        persistKeys.forEach(key => {
-          if (store.has(key)) {
-            toSave[key] = store.get(key);
-          }
-        });
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(toSave));
-      } catch (error) {
-        console.warn('Failed to save persisted state:', error);
+    const findRoute = (path) => {
+      const parts = path.split("/").filter(Boolean);
+
+      for (const route of ranked) {
+        const params = matchSegments(route.segments, parts);
+        if (params) return { ...route, params };
       }
+
+      return null;
     };
 
-    const notifySubscribers = (key, value) => {
-      const keySubscribers = subscribers.get(key) || [];
-      keySubscribers.forEach((callback) => {
-        try {
-          callback(value, key);
-        } catch (error) {
-          console.error('Subscriber callback error:', error);
-        }
-      });
+    const joinPath = (parent, child) => {
+      const c = child.startsWith("/") ? child : "/" + child;
+      if (c === "/") return parent;
+      return parent === "/" ? c : norm(parent + c);
     };
 
-    // Initialize persisted state
-    loadPersisted();
+    // Register a route and its children. Each route keeps the chain of levels
+    // (layouts first) that render it; a level without a handler only groups paths.
+    const register = (path, definition, parents) => {
+      const def = typeof definition === "function" ? { handler: definition } : definition;
+      const { children, ...options } = def;
+      const segments = compilePattern(path);
+      const level = { ...options, pattern: path, keys: segments.map((segment) => segment.name).filter(Boolean) };
+      const chain = def.handler || def.lazy ? [...parents, level] : parents;
 
-    return {
-      set: curry((key, value) => {
-        store.set(key, value);
-        notifySubscribers(key, value);
+      if (chain.length) routes.set(path, { pattern: path, segments, handler: level.handler, chain });
+      if (def.name) names.set(def.name, path);
 
-        if (persistKeys.has(key)) {
-          savePersisted();
-        }
+      Object.entries(children || {}).forEach(([child, childDef]) => {
+        register(joinPath(path, child), childDef, chain);
+      });
+    };
 
-        return value;
-      }),
+    // The part of the route's params declared by a level's own (shorter) pattern
+    const levelParams = (level, params) => level.keys.reduce((acc, key) => {
+      if (params[key] !== undefined) acc[key] = params[key];
+      return acc;
+    }, {});
 
-      get: (key) => store.get(key),
+    // Path of a named route, relative to the base path
+    const buildPath = (name, params = {}) => {
+      if (!names.has(name)) throw new Error(`Miojo Error: Unknown route name "${name}"`);
 
-      update: curry((key, updater) => {
-        const currentValue = store.get(key);
-        const newValue = updater(currentValue);
-        store.set(key, newValue);
-        notifySubscribers(key, newValue);
+      const parts = compilePattern(names.get(name)).map((segment) => {
+        if (segment.type === "static") return segment.value;
 
-        if (persistKeys.has(key)) {
-          savePersisted();
+        const value = params[segment.name];
+        if (value === undefined || value === null || value === "") {
+          if (segment.optional || segment.type === "splat") return null;
+          throw new Error(`Miojo Error: Missing param "${segment.name}" for route "${name}"`);
         }
 
-        return newValue;
-      }),
+        if (segment.type === "splat") return String(value).split("/").map(encodeURIComponent).join("/");
 
-      subscribe: curry((key, callback) => {
-        if (!subscribers.has(key)) {
-          subscribers.set(key, []);
+        if (segment.constraint && !segment.constraint.test(String(value))) {
+          throw new Error(
+            `Miojo Error: Param "${segment.name}" of route "${name}" must match (${segment.source}), got "${value}"`
+          );
         }
-        subscribers.get(key).push(callback);
+        return encodeURIComponent(value);
+      });
 
-        // Return unsubscribe function
-        return () => {
-          const keySubscribers = subscribers.get(key);
-          if (keySubscribers) {
-            const index = keySubscribers.indexOf(callback);
-            if (index > -1) {
-              keySubscribers.splice(index, 1);
-            }
-          }
-        };
-      }),
+      return "/" + parts.filter((part) => part !== null).join("/");
+    };
+
+    const sameLevel = (a, b) =>
+      a.level === b.level && JSON.stringify(a.params) === JSON.stringify(b.params);
+
+    // Unload levels from `depth` down, innermost first
+    const leaveFrom = (depth) => {
+      for (let i = active.length - 1; i >= depth; i--) levelHooks.leave(i);
+      active = active.slice(0, depth);
+    };
+
+    // `cache: true` keeps a level's data until invalidated, a number keeps it that many ms
+    const cacheKey = (to) => to.path + stringifyQuery(to.query);
+
+    const cachedData = (level, path) => {
+      const entries = loadCache.get(path);
+      const hit = level.cache && entries && entries.get(level);
+      if (!hit) return null;
+      if (typeof level.cache === "number" && Date.now() - hit.time > level.cache) {
+        entries.delete(level);
+        return null;
+      }
+      return hit;
+    };
+
+    const storeData = (level, path, data) => {
+      if (!level.cache) return;
+      if (!loadCache.has(path)) loadCache.set(path, new Map());
+      loadCache.get(path).set(level, { data, time: Date.now() });
+    };
+
+    // Innermost pending/error view among the levels being entered, else the app default
+    const viewFor = (entering, key, fallback) => {
+      const found = [...entering].reverse().find(({ level }) => level[key]);
+      return found ? found.level[key] : fallback;
+    };
+
+    // Views are templates rendered with the params (and error), or functions called like handlers
+    const showView = (view, params, context) => {
+      if (typeof view === "function") return view(params, context);
+      return levelHooks.render(view, context.error ? { ...params, error: context.error } : params);
+    };
+
+    // Shown once per navigation, while route modules or data load
+    const showPending = async (entering, start, to, context, progress) => {
+      const pendingView = viewFor(entering, "pending", settings.pendingView);
+      if (!pendingView || progress.pending) return;
+      progress.pending = true;
+      progress.leave();
+      levelHooks.enter(start, entering[0].level);
+      await showView(pendingView, to.params, context);
+    };
+
+    // A lazy route's module: its default export (a handler or a definition) or the
+    // module itself ({ handler, load, head, ... }). Guards stay in the route definition.
+    const isModule = (value) => !!value && typeof value === "object" &&
+      (value[Symbol.toStringTag] === "Module" || "default" in value);
+
+    const adoptModule = (level, module) => {
+      const exported = module && module.default !== undefined ? module.default : module;
+      const def = typeof exported === "function" ? { handler: exported } : exported || {};
+      const { children, pattern, keys, lazy, beforeEnter, ...options } = def;
+
+      if (typeof options.handler !== "function") {
+        throw new Error(`Miojo Error: The module of lazy route "${level.pattern}" has no handler`);
+      }
+      Object.assign(level, options, { lazy: null });
+    };
+
+    // Import a lazy level's module once; concurrent navigations and prefetches share it
+    const resolveLevel = (level) => {
+      if (!level.lazy) return Promise.resolve();
+      if (!level.resolving) {
+        level.resolving = Promise.resolve(level.lazy())
+          .then((module) => adoptModule(level, module))
+          .catch((error) => {
+            level.resolving = null;
+            throw error;
+          });
+      }
+      return level.resolving;
+    };
+
+    const resolveLevels = async (entering, start, to, context, progress) => {
+      const lazy = entering.filter(({ level }) => level.lazy);
+      if (!lazy.length) return;
+      await showPending(entering, start, to, context, progress);
+      await Promise.all(lazy.map(({ level }) => resolveLevel(level)));
+    };
+
+    // Download the modules of the route a URL leads to, before it is visited
+    const prefetch = (url) => {
+      const route = findRoute(parseTarget(url).path);
+      if (!route) return Promise.resolve();
+      return Promise.all(route.chain.map(resolveLevel)).catch((error) => {
+        console.warn('Miojo: prefetching', url, 'failed:', error);
+      });
+    };
+
+    // Run the loaders of the levels being entered in parallel, showing the pending view
+    // unless everything is cached. Resolves to one { data, cached } per level.
+    const loadLevels = async (entering, start, to, context, progress) => {
+      const hits = entering.map(({ level }) => (level.load ? cachedData(level, cacheKey(to)) : null));
+      const missing = entering.some(({ level }, i) => level.load && !hits[i]);
+      if (!missing) return entering.map((_, i) => ({ data: hits[i] && hits[i].data, cached: !!hits[i] }));
+
+      const controller = loadController = new AbortController();
+      await showPending(entering, start, to, context, progress);
+
+      try {
+        return await Promise.all(entering.map(async ({ level, params }, i) => {
+          if (!level.load) return { data: undefined, cached: false };
+          if (hits[i]) return { data: hits[i].data, cached: true };
+
+          const data = await level.load(params, to.query || {}, { signal: controller.signal, to, from: context.from });
+          storeData(level, cacheKey(to), data);
+          return { data, cached: false };
+        }));
+      } finally {
+        if (loadController === controller) loadController = null;
+      }
+    };
+
+    // Served from cache with `revalidate`: load again in the background and re-run
+    // the level's handler with fresh data if the route is still on screen
+    const revalidate = (levels, results, to, context) => {
+      levels.forEach(({ level, params }, depth) => {
+        if (!results[depth] || !results[depth].cached || !level.revalidate) return;
+
+        Promise.resolve(level.load(params, to.query || {}, { signal: new AbortController().signal, to, from: context.from }))
+          .then((data) => {
+            storeData(level, cacheKey(to), data);
+            if (!context.isCurrent()) return;
+            levelHooks.enter(depth, level);
+            return level.handler(params, { ...context, data });
+          })
+          .then(() => {
+            if (context.isCurrent()) levelHooks.enter(levels.length - 1, levels[levels.length - 1].level);
+          })
+          .catch((error) => console.error('Route revalidation error:', error));
+      });
+    };
+
+    // Every navigate() gets an id; one that is no longer the latest stops at its next await
+    let navId = 0;
+    let current = null;
+    const MAX_REDIRECTS = 10;
+
+    // The current URL ("/base/path?query#hash") in whichever mode the router runs
+    const readURL = () => {
+      if (settings.mode === "memory") {
+        return memory.index >= 0 ? memory.entries[memory.index].url : settings.initialPath;
+      }
+      if (settings.mode === "hash") return location.hash.slice(1) || "/";
+      return location.pathname + location.search + location.hash;
+    };
+
+    const writeURL = (mode, url) => {
+      if (mode === "push") {
+        saveScroll();
+        entryKey = createKey();
+      } else {
+        entryKey = entryKey || createKey();
+      }
+
+      if (settings.mode === "memory") {
+        const entry = { url, key: entryKey };
+        if (mode === "push") memory.entries.splice(++memory.index, Infinity, entry);
+        else memory.entries[Math.max(memory.index, 0)] = entry;
+        memory.index = Math.max(memory.index, 0);
+        return;
+      }
+
+      const href = settings.mode === "hash" ? "#" + url : url;
+      if (mode === "push") {
+        position = position === null ? null : position + 1;
+        history.pushState({ key: entryKey, position }, "", href);
+      } else {
+        history.replaceState({ key: entryKey, position }, "", href);
+      }
+    };
+
+    // The browser moved to another entry: remember where the old one was scrolled
+    const enterEntry = (key) => {
+      saveScroll();
+      entryKey = key || createKey();
+    };
+
+    const updateHistory = (mode, to) => {
+      if (mode !== "push" && mode !== "replace") return;
+      writeURL(mode, addBase(to.path) + stringifyQuery(to.query) + (to.hash ? "#" + to.hash : ""));
+    };
+
+    // Back/forward: the browser reports the move through popstate/hashchange,
+    // the memory mode moves its own index
+    const go = (delta) => {
+      if (settings.mode !== "memory") {
+        history.go(delta);
+        return Promise.resolve(true);
+      }
+
+      const index = memory.index + delta;
+      if (index < 0 || index >= memory.entries.length) return Promise.resolve(false);
+      memory.index = index;
+      enterEntry(memory.entries[index].key);
+      return navigate(memory.entries[index].url, { history: "pop", delta });
+    };
+
+    // A guard cancelled a back/forward move of `delta` entries: move back to the entry
+    // the route on screen belongs to, keeping the history around it
+    const undoMove = (delta, from) => {
+      if (settings.mode === "memory") {
+        memory.index -= delta;
+        entryKey = memory.entries[memory.index].key;
+      } else if (typeof delta === "number" && delta !== 0) {
+        restoringPosition = true;
+        history.go(-delta);
+      } else {
+        // How far the browser moved is unknown: put the current route's URL back instead
+        writeURL("replace", addBase(urlOf(from)));
+      }
+    };
+
+    // Guards resolve to false (cancel), a path or { path, replace } (redirect), or anything else (continue)
+    const runGuards = async (guards, id) => {
+      for (const guard of guards) {
+        const result = await guard();
+        if (id !== navId) return false;
+        if (result === false || typeof result === "string" || (result && typeof result === "object")) {
+          return result;
+        }
+      }
+      return true;
+    };
+
+    // `target` is a path or { path, query, hash, replace }. `options.history` says how the URL
+    // follows: 'push' (default), 'replace', 'pop' (browser already moved) or 'none'.
+    // Resolves to true once the route rendered, false if cancelled or superseded.
+    const navigate = async (target, options = {}) => {
+      const nav = parseTarget(target, current);
+      const mode = options.history || (nav.replace ? "replace" : "push");
+      const redirects = options.redirects || 0;
+      const id = ++navId;
+      const rel = nav.path;
+
+      // Loads still running for the previous navigation are no longer needed
+      if (loadController) {
+        loadController.abort();
+        loadController = null;
+      }
+
+      const route = findRoute(rel);
+      const from = current;
+      const to = {
+        path: rel,
+        params: route ? route.params : {},
+        pattern: route ? route.pattern : null,
+        query: nav.query,
+        hash: nav.hash,
+      };
+
+      // Only the hash changed: nothing to render, just scroll to the anchor
+      if (from && to.hash && from.path === rel && sameQuery(from.query, to.query)) {
+        updateHistory(from.hash === to.hash && mode === "push" ? "replace" : mode, to);
+        current = to;
+        scrollToHash(to.hash);
+        return true;
+      }
+
+      const levels = route
+        ? route.chain.map((level) => ({ level, params: levelParams(level, route.params) }))
+        : [];
+
+      // Layouts shared with the current route stay mounted; the innermost level always re-runs
+      let start = 0;
+      while (start < levels.length - 1 && active[start] && sameLevel(active[start], levels[start])) {
+        start++;
+      }
+
+      // Set once the old levels have been left, see leave() below
+      let left = false;
+
+      // `current` follows the screen: it moves to the failed route only once its pending
+      // view or the not-found handler has replaced the old one
+      const fail = (error) => {
+        if (left) current = to;
+        if (notFoundHandler) {
+          current = to;
+          leaveFrom(0);
+          levelHooks.enter(0, null);
+          notFoundHandler(error ? { error, path: rel } : { path: rel });
+        }
+        return false;
+      };
+
+      let verdict;
+      try {
+        // Global guards first, then those of the levels being entered
+        verdict = await runGuards([
+          ...beforeRouteCallbacks.map((cb) => () => cb(rel, { to, from })),
+          ...levels.slice(start)
+            .filter(({ level }) => level.beforeEnter)
+            .map(({ level }) => () => level.beforeEnter(to, from)),
+        ], id);
+      } catch (error) {
+        console.error('Route guard error:', error);
+        return id === navId ? fail(error) : false;
+      }
+
+      if (id !== navId) return false;
+
+      if (verdict === false) {
+        // The browser already shows the new URL; go back to the current route's entry
+        if (mode === "pop" && from) undoMove(options.delta, from);
+        return false;
+      }
+
+      if (verdict !== true) {
+        if (redirects >= MAX_REDIRECTS) {
+          return fail(new Error(`Miojo Error: Too many redirects while navigating to "${rel}"`));
+        }
+        const redirect = typeof verdict === "string" ? { path: verdict } : verdict;
+        const redirectMode = mode === "push" && !redirect.replace ? "push" : "replace";
+        return navigate(redirect, { history: redirectMode, redirects: redirects + 1 });
+      }
+
+      if (!options.resumed) updateHistory(mode, to);
+
+      if (!route) return fail();
+
+      // Handlers that await before rendering can check whether they still should
+      const context = { to, from, query: to.query, hash: to.hash, isCurrent: () => id === navId };
+
+      const entering = levels.slice(start);
+      let results;
+
+      // A level re-run with the same params (e.g. only the query changed) updates its
+      // view in place instead of being unloaded and mounted again
+      const updating = active[start] && sameLevel(active[start], levels[start]);
+
+      // The old levels stay mounted and responsive until something replaces them: the
+      // pending view, the error view or the new levels once they are ready to render
+      const leave = () => {
+        if (left) return;
+        left = true;
+        leaveFrom(updating ? start + 1 : start);
+        active = active.slice(0, start);
+      };
+      const progress = { pending: false, leave };
+
+      try {
+        await resolveLevels(entering, start, to, context, progress);
+        if (id !== navId) return false;
+        results = await loadLevels(entering, start, to, context, progress);
+      } catch (error) {
+        if (id !== navId) return false;
+        console.error('Route load error:', error);
+
+        const errorView = viewFor(entering, "error", settings.errorView);
+        if (!errorView) return fail(error);
+
+        current = to;
+        try {
+          leave();
+          levelHooks.enter(start, entering[0].level);
+          await showView(errorView, to.params, { ...context, error });
+        } catch (viewError) {
+          console.error('Route error view error:', viewError);
+        }
+        return false;
+      }
+
+      if (id !== navId) return false;
+
+      try {
+        leave();
+        for (let depth = start; depth < levels.length; depth++) {
+          const { data } = results[depth - start];
+          levelHooks.enter(depth, levels[depth].level);
+          const result = await levels[depth].level.handler(levels[depth].params, { ...context, data });
+          if (id !== navId) return false;
+
+          // A handler like () => import('./page.js') turns out to be a lazy route:
+          // keep its module and run the navigation again with it
+          if (isModule(result)) {
+            adoptModule(levels[depth].level, result);
+            return navigate(addBase(urlOf(to)), { history: mode, resumed: true, redirects });
+          }
+
+          active.push({ ...levels[depth], data });
+        }
+
+        // Every level on screen, outermost first, with the data its loader returned
+        to.matched = active.map(({ level, params, data }) => ({ pattern: level.pattern, params, data, definition: level }));
+        current = to;
+        afterRouteCallbacks.forEach((cb) => cb(rel, route.params, { to, from }));
+        restoreScroll(to, mode);
+        revalidate(levels, [...Array(start).fill(null), ...results], to, context);
+        return true;
+      } catch (error) {
+        console.error('Route handler error:', error);
+        return id === navId ? fail(error) : false;
+      }
+    };
+
+    const router = {
+      // `definition` is a handler or { handler | lazy, name, head, beforeEnter, load,
+      // pending, error, cache, revalidate, children: { subPath: definition } }
+      add: curry((path, definition) => {
+        register(norm(path), definition, []);
+        ranked = [...routes.values()].sort(compareRoutes);
+        return router;
+      }),
+
+      // URL of a named route, usable as a link href or with navigate()
+      url: (name, params = {}, query = {}) => {
+        const url = addBase(buildPath(name, params)) + stringifyQuery(query);
+        return settings.mode === "hash" ? "#" + url : url;
+      },
+
+      navigate,
+      prefetch,
+      setBase,
+      go,
+      back: () => go(-1),
+      forward: () => go(1),
+
+      // { path, params, pattern, query, hash, matched } of the route on screen
+      current: () => current,
+
+      // Resolve a URL without navigating, e.g. to prerender its head: { path, params,
+      // pattern, query, hash, matched }, or null when no route matches
+      match: (url) => {
+        const target = parseTarget(url);
+        const route = findRoute(target.path);
+        if (!route) return null;
+
+        return {
+          path: target.path,
+          params: route.params,
+          pattern: route.pattern,
+          query: target.query,
+          hash: target.hash,
+          matched: route.chain.map((level) => ({
+            pattern: level.pattern, params: levelParams(level, route.params), data: undefined, definition: level,
+          })),
+        };
+      },
+
+      beforeRoute: (cb) => {
+        beforeRouteCallbacks.push(cb);
+        return router;
+      },
+
+      afterRoute: (cb) => {
+        afterRouteCallbacks.push(cb);
+        return router;
+      },
+
+      notFound: (handler) => {
+        notFoundHandler = handler;
+        return router;
+      },
+
+      // enter(depth, level) runs before a level's handler, leave(depth) when it unmounts;
+      // render(template, data) renders into the level last entered
+      onLevel: (hooks) => {
+        levelHooks = { ...levelHooks, ...hooks };
+        return router;
+      },
+
+      // { mode, initialPath, scroll, prefetch, pendingView, errorView }
+      configure: (options) => {
+        Object.assign(settings, options);
+        return router;
+      },
+
+      // Drop cached loader results for a path (every query unless one is given), or all of them
+      invalidate: (path) => {
+        if (path === undefined) {
+          loadCache.clear();
+          return router;
+        }
+
+        const target = parseTarget(path);
+        const withQuery = path.includes("?");
+        Array.from(loadCache.keys()).forEach((key) => {
+          const keyPath = key.split("?")[0];
+          if (withQuery ? key === cacheKey(target) : keyPath === target.path) loadCache.delete(key);
+        });
+        return router;
+      },
+
+      // Starts routing; only links inside `scope` (the whole document by default) are intercepted
+      init: (scope = document) => {
+        const { mode } = settings;
+
+        const listen = (target, type, fn) => {
+          target.addEventListener(type, fn);
+          teardown.push(() => target.removeEventListener(type, fn));
+        };
+
+        // Back/forward (and hash edits in hash mode) land on another entry
+        const onPop = () => {
+          const state = history.state || {};
+          const previous = position;
+          position = typeof state.position === "number" ? state.position : null;
+
+          // Back on the entry of the route on screen after a cancelled move
+          if (restoringPosition) {
+            restoringPosition = false;
+            entryKey = state.key || entryKey;
+            return;
+          }
+
+          enterEntry(state.key);
+          const delta = position !== null && previous !== null ? position - previous : undefined;
+          navigate(readURL(), { history: "pop", delta });
+        };
+
+        if (mode === "history") {
+          listen(window, "popstate", onPop);
+        } else if (mode === "hash") {
+          listen(window, "hashchange", onPop);
+        }
+
+        // The router restores scroll positions itself
+        if (mode !== "memory" && handlesScroll() && "scrollRestoration" in history) {
+          history.scrollRestoration = "manual";
+        }
+
+        // Links are written the same in every mode: "/path" routes, "#anchor" scrolls
+        // within the current route and "#/path" is accepted as a hash-mode route.
+        // Returns the navigate() target of a link the router handles, else null.
+        const linkTarget = (el) => {
+          const anchor = el && el.closest && el.closest("a[href]");
+          if (!anchor) return null;
+
+          const href = anchor.getAttribute("href");
+          if (/^[a-z][a-z\d+.-]*:/i.test(href) || href.startsWith("//")) return null;
+
+          if (href === "#") return "";
+          if (href.startsWith("#/")) return addBase(href.slice(1));
+          if (href.startsWith("#")) return { hash: href.slice(1) };
+          return addBase(href.startsWith("/") ? href : "/" + href);
+        };
+
+        listen(scope, "click", (e) => {
+          const target = linkTarget(e.target);
+          if (target === null) return;
+
+          e.preventDefault();
+          if (target !== "") navigate(target);
+        });
+
+        // Lazy routes behind a link start downloading on hover or keyboard focus,
+        // or with prefetch: 'visible' as soon as the link scrolls into view
+        const prefetchLink = (e) => {
+          const target = linkTarget(e.target);
+          if (typeof target === "string" && target !== "") prefetch(target);
+        };
+
+        if (settings.prefetch) {
+          listen(scope, "mouseover", prefetchLink);
+          listen(scope, "focusin", prefetchLink);
+        }
+
+        if (settings.prefetch === "visible" && typeof IntersectionObserver !== "undefined") {
+          const seen = new WeakSet();
+          const visibility = new IntersectionObserver((entries) => {
+            entries.forEach((entry) => {
+              if (!entry.isIntersecting) return;
+              visibility.unobserve(entry.target);
+              prefetchLink({ target: entry.target });
+            });
+          });
+
+          const observeLinks = () => scope.querySelectorAll("a[href]").forEach((a) => {
+            if (seen.has(a)) return;
+            seen.add(a);
+            visibility.observe(a);
+          });
+
+          const links = new MutationObserver(observeLinks);
+          links.observe(scope === document ? document.body : scope, { childList: true, subtree: true });
+          teardown.push(() => {
+            visibility.disconnect();
+            links.disconnect();
+          });
+          observeLinks();
+        }
+
+        if (mode === "memory") {
+          entryKey = createKey();
+          memory.entries = [{ url: addBase(settings.initialPath), key: entryKey }];
+          memory.index = 0;
+        } else {
+          // Key the entry the page was loaded on, keeping one it had before a reload
+          entryKey = (history.state && history.state.key) || createKey();
+          position = history.state && typeof history.state.position === "number" ? history.state.position : 0;
+          history.replaceState({ ...history.state, key: entryKey, position }, "");
+        }
+
+        if (mode === "hash" && !location.hash.startsWith("#/")) {
+          writeURL("replace", addBase("/"));
+        } else if (mode === "history" && stripBase(location.pathname) === "/" && !location.pathname.endsWith("/")) {
+          writeURL("replace", addBase("/") + location.search + location.hash);
+        }
+
+        navigate(readURL(), { history: "none" });
+        return router;
+      },
+
+      // Stops listening and abandons any navigation still in flight
+      destroy: () => {
+        teardown.splice(0).forEach((remove) => remove());
+        navId++;
+        if (loadController) loadController.abort();
+        loadController = null;
+      },
+    };
+
+    return router;
+  };
+
+  const Router = createRouter();
+
+  // ============================================================================
+  // SCHEDULER
+  // ============================================================================
+
+  const Scheduler = (() => {
+    const queue = new Set();
+    const MAX_FLUSH_PASSES = 100;
+    let scheduled = false;
+
+    const nextMicrotask = typeof queueMicrotask === 'function'
+      ? queueMicrotask
+      : (fn) => Promise.resolve().then(fn);
+
+    // Run every queued job once; jobs queued while flushing run in the same flush
+    const flush = () => {
+      scheduled = false;
+      let passes = 0;
+
+      while (queue.size > 0) {
+        if (++passes > MAX_FLUSH_PASSES) {
+          console.error('Scheduler error: updates keep scheduling more updates, giving up');
+          queue.clear();
+          break;
+        }
+
+        const jobs = Array.from(queue);
+        queue.clear();
+        jobs.forEach((job) => {
+          try {
+            job();
+          } catch (error) {
+            console.error('Scheduled job error:', error);
+          }
+        });
+      }
+
+      return Scheduler;
+    };
+
+    // Queue a job (deduplicated) for the next microtask, or the next animation frame
+    const schedule = (job, useFrame = false) => {
+      queue.add(job);
+      if (scheduled) return Scheduler;
+      scheduled = true;
+
+      if (useFrame && typeof requestAnimationFrame === 'function') {
+        requestAnimationFrame(flush);
+      } else {
+        nextMicrotask(flush);
+      }
+      return Scheduler;
+    };
+
+    return {
+      schedule,
+      flush,
+      cancel: (job) => {
+        queue.delete(job);
+        return Scheduler;
+      },
+      pending: () => queue.size > 0
+    };
+  })();
+
+  // ============================================================================
+  // PERSISTENCE
+  // ============================================================================
+
+  // Where stores save persisted keys. An adapter is { read(name), write(name, data),
+  // remove(name) }; any of them may return a promise.
+  const Persistence = (() => {
+    const webStorage = (area) => {
+      const storage = () => {
+        try {
+          return typeof window !== 'undefined' ? window[area] : undefined;
+        } catch (error) {
+          return undefined; // storage disabled by the browser
+        }
+      };
+
+      return {
+        read: (name) => {
+          const raw = storage() && storage().getItem(name);
+          return raw ? JSON.parse(raw) : null;
+        },
+        write: (name, data) => {
+          if (storage()) storage().setItem(name, JSON.stringify(data));
+        },
+        remove: (name) => {
+          if (storage()) storage().removeItem(name);
+        },
+      };
+    };
+
+    // Values are copied through JSON, as a real storage would
+    const memory = () => {
+      const entries = new Map();
+      return {
+        read: (name) => (entries.has(name) ? JSON.parse(entries.get(name)) : null),
+        write: (name, data) => {
+          entries.set(name, JSON.stringify(data));
+        },
+        remove: (name) => {
+          entries.delete(name);
+        },
+      };
+    };
+
+    const indexedDB = (database = 'miojo', objectStore = 'state') => {
+      let opening = null;
+
+      const open = () => opening || (opening = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(database, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(objectStore);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }));
+
+      const run = (mode, fn) => open().then((db) => new Promise((resolve, reject) => {
+        const transaction = db.transaction(objectStore, mode);
+        const request = fn(transaction.objectStore(objectStore));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+      }));
+
+      return {
+        read: (name) => run('readonly', (store) => store.get(name)).then((data) => data || null),
+        write: (name, data) => run('readwrite', (store) => store.put(data, name)),
+        remove: (name) => run('readwrite', (store) => store.delete(name)),
+      };
+    };
+
+    // createStore({ storage }) takes one of these names or an adapter
+    const adapters = {
+      local: () => webStorage('localStorage'),
+      session: () => webStorage('sessionStorage'),
+      memory,
+      indexedDB,
+    };
+
+    const resolveAdapter = (storage = 'local') => {
+      if (typeof storage !== 'string') return storage;
+      if (!adapters[storage]) {
+        throw new Error(
+          `Miojo Error: Unknown storage "${storage}"\n` +
+          `Use ${Object.keys(adapters).map((name) => `'${name}'`).join(', ')} or an adapter object`
+        );
+      }
+      return adapters[storage]();
+    };
+
+    // persist(key, { serializer }) for values JSON can't hold
+    const serializers = {
+      date: {
+        serialize: (date) => (date instanceof Date ? date.toISOString() : date),
+        deserialize: (raw) => (raw == null ? raw : new Date(raw)),
+      },
+      map: {
+        serialize: (map) => (map instanceof Map ? Array.from(map.entries()) : map),
+        deserialize: (raw) => (Array.isArray(raw) ? new Map(raw) : raw),
+      },
+      set: {
+        serialize: (set) => (set instanceof Set ? Array.from(set) : set),
+        deserialize: (raw) => (Array.isArray(raw) ? new Set(raw) : raw),
+      },
+    };
+
+    // Saved data is { __miojo: 1, version, keys: { key: { value, expires } } }; the marker
+    // tells it apart from data saved before versioning (a plain object of values, version
+    // 0), whose keys may well be named `version` and `keys`
+    const pack = (version, keys) => ({ __miojo: 1, version, keys });
+
+    const upgrade = (data, version, migrations) => {
+      if (!data) return {};
+
+      const legacy = data.__miojo !== 1;
+      const from = legacy ? 0 : data.version;
+      const entries = legacy
+        ? Object.entries(data).reduce((acc, [key, value]) => ({ ...acc, [key]: { value } }), {})
+        : data.keys;
+
+      if (from > version) {
+        console.warn(`Miojo: persisted state has version ${from}, newer than ${version}; ignoring it`);
+        return {};
+      }
+      if (from === version) return entries;
+
+      // Migrations take and return the plain values; expiry dates are kept per key
+      const values = Object.entries(entries).reduce((acc, [key, entry]) => ({ ...acc, [key]: entry.value }), {});
+      const migrated = Object.keys(migrations)
+        .map(Number)
+        .filter((target) => target > from && target <= version)
+        .sort((a, b) => a - b)
+        .reduce((acc, target) => migrations[target](acc), values);
+
+      return Object.entries(migrated).reduce((acc, [key, value]) => ({
+        ...acc,
+        [key]: { value, expires: entries[key] && entries[key].expires },
+      }), {});
+    };
+
+    return { adapters, resolveAdapter, serializers, pack, upgrade };
+  })();
+
+  // ============================================================================
+  // STATE MANAGEMENT
+  // ============================================================================
+
+  // Action every state write is dispatched as, and the one restoring a persisted value
+  const SET_ACTION = 'miojo/set';
+  const RESTORE_ACTION = 'miojo/restore';
+
+  // Middleware for store.use()
+  const middleware = {
+    // dispatch((dispatch, get) => ...) runs the function, for async flows
+    thunk: ({ dispatch, get }) => (next) => (action) =>
+      typeof action === 'function' ? action(dispatch, get) : next(action),
+
+    logger: () => (next) => (action) => {
+      const result = next(action);
+      if (action.type === SET_ACTION || action.type === RESTORE_ACTION) {
+        console.log(`[miojo] ${action.type === SET_ACTION ? 'set' : 'restore'}`, action.path, action.value);
+      } else {
+        console.log('[miojo]', action.type, action.payload);
+      }
+      return result;
+    },
+  };
+
+  // Paths are dotted: 'user' is a key, 'user.address.city' a value inside it
+  const splitPath = (path) => String(path).split('.');
+
+  const getIn = (obj, path) => path.reduce((acc, prop) => acc?.[prop], obj);
+
+  // Copy only the objects along the path; everything else keeps its identity
+  const setIn = (obj, [prop, ...rest], value) => {
+    const base = Array.isArray(obj) ? [...obj] : { ...(obj || {}) };
+    base[prop] = rest.length ? setIn(base[prop], rest, value) : value;
+    return base;
+  };
+
+  // Settled value or promise alike
+  const whenDone = (result, fn) =>
+    result && typeof result.then === 'function' ? result.then(fn) : fn(result);
+
+  // Each app owns a store. Persisted keys are saved under `storageKey` in `storage`
+  // ('local', 'session', 'indexedDB', 'memory' or an adapter), at most once per
+  // `saveThrottle` ms, tagged with `version`; `migrations` upgrade older data.
+  const createStore = (options = {}) => {
+    const store = new Map();
+    // key => Map of subscribed path => callbacks
+    const subscribers = new Map();
+    // Persisted key => { serializer, ttl }
+    const persistKeys = new Map();
+    const STORAGE_KEY = options.storageKey || 'miojo_state';
+    const { version = 0, migrations = {}, saveThrottle = 100 } = options;
+    const adapter = Persistence.resolveAdapter(options.storage);
+
+    // Entries read from storage, restored one by one as their keys are persisted.
+    // Storage is first read by persist(), so a store that persists nothing never touches it.
+    let saved = {};
+    let loading = null;
+    let loadStarted = false;
+    let loaded = false;
+    // When each persisted key with a ttl stops being restored
+    const expiries = new Map();
+    // Keys written before an asynchronous load finished keep their newer value
+    const writtenEarly = new Set();
+    let saveTimer = null;
+    // Saving before the load finished would overwrite what is stored
+    let saveRequested = false;
+
+    const restore = (key) => {
+      const entry = saved[key];
+      if (!entry || writtenEarly.has(key)) return;
+      if (entry.expires && entry.expires <= Date.now()) return;
+
+      // Middleware sees restores too, and may change or drop them
+      const { serializer } = persistKeys.get(key);
+      const value = serializer ? serializer.deserialize(entry.value) : entry.value;
+      dispatch({ type: RESTORE_ACTION, path: key, value });
+      if (entry.expires && Object.is(store.get(key), value)) expiries.set(key, entry.expires);
+    };
+
+    const loadPersisted = () => {
+      loadStarted = true;
+      const done = (data) => {
+        saved = Persistence.upgrade(data, version, migrations);
+        loaded = true;
+        persistKeys.forEach((_, key) => restore(key));
+        writtenEarly.clear();
+        if (saveRequested) scheduleSave();
+      };
+
+      try {
+        const result = whenDone(adapter.read(STORAGE_KEY), done);
+        if (result && typeof result.catch === 'function') {
+          return result.catch((error) => {
+            console.warn('Failed to load persisted state:', error);
+            done(null);
+          });
+        }
+      } catch (error) {
+        console.warn('Failed to load persisted state:', error);
+        done(null);
+      }
+      return undefined;
+    };
+
+    // Write every persisted key now; keys that are no longer persisted are dropped
+    const savePersisted = () => {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+      saveRequested = false;
+
+      const keys = {};
+      persistKeys.forEach(({ serializer }, key) => {
+        if (!store.has(key)) return;
+        const value = store.get(key);
+        keys[key] = { value: serializer ? serializer.serialize(value) : value };
+        if (expiries.has(key)) keys[key].expires = expiries.get(key);
+      });
+
+      const fail = (error) => console.warn('Failed to save persisted state:', error);
+      try {
+        const result = adapter.write(STORAGE_KEY, Persistence.pack(version, keys));
+        if (result && typeof result.catch === 'function') result.catch(fail);
+        return result;
+      } catch (error) {
+        fail(error);
+        return undefined;
+      }
+    };
+
+    const scheduleSave = () => {
+      if (!loaded) {
+        saveRequested = true;
+      } else if (saveThrottle <= 0) {
+        savePersisted();
+      } else if (!saveTimer) {
+        saveTimer = setTimeout(savePersisted, saveThrottle);
+      }
+    };
+
+    // A persisted key changed: restart its ttl and save soon
+    const touch = (key) => {
+      const { ttl } = persistKeys.get(key);
+      if (ttl) expiries.set(key, Date.now() + ttl);
+      if (!loaded) writtenEarly.add(key);
+      scheduleSave();
+    };
+
+    // Pending saves would be lost when the page goes away; added by the first persist()
+    // and removed by destroy()
+    const onPageHide = () => {
+      if (saveTimer) savePersisted();
+    };
+    let listening = false;
+    const listen = () => {
+      if (listening || typeof window === 'undefined' || !window.addEventListener) return;
+      window.addEventListener('pagehide', onPageHide);
+      listening = true;
+    };
+
+    // Keys changed inside batch() => [value before it, restored], notified once when the batch ends
+    const batched = new Map();
+    let batchDepth = 0;
+
+    // Watchers see every committed change as a list of { key, previous, value, restored }:
+    // one entry per write, or one per key changed during a batch. `restored` marks values
+    // loaded from storage, which history and cross-tab sync leave out.
+    const watchers = [];
+
+    // A key's value was replaced: notify each path subscribed under that key whose value
+    // differs from `previous`, so 'user' hears about 'user.name' and 'user.name' about 'user'
+    const notifySubscribers = (key, previous) => {
+      const paths = subscribers.get(key);
+      if (!paths) return;
+
+      const value = store.get(key);
+      Array.from(paths).forEach(([path, callbacks]) => {
+        const rest = splitPath(path).slice(1);
+        const pathValue = getIn(value, rest);
+        if (Object.is(pathValue, getIn(previous, rest))) return;
+
+        callbacks.slice().forEach((callback) => {
+          try {
+            callback(pathValue, path);
+          } catch (error) {
+            console.error('Subscriber callback error:', error);
+          }
+        });
+      });
+    };
+
+    // Set the value at a path, skipping everything when it is unchanged
+    const write = (path, value, restored = false) => {
+      const [key, ...rest] = splitPath(path);
+      const previous = store.get(key);
+      if (Object.is(getIn(previous, rest), value)) return value;
+
+      store.set(key, rest.length ? setIn(previous, rest, value) : value);
+      commit([[key, previous, restored]]);
+
+      if (persistKeys.has(key)) {
+        touch(key);
+      }
+
+      return value;
+    };
+
+    // `changed` lists [key, previous, restored]; a key is restored only if every write
+    // to it in a batch was a restore
+    const commit = (changed) => {
+      if (batchDepth > 0) {
+        changed.forEach(([key, previous, restored]) => {
+          const pending = batched.get(key);
+          batched.set(key, pending ? [pending[0], pending[1] && restored] : [previous, restored]);
+        });
+        return;
+      }
+
+      const changes = changed
+        .map(([key, previous, restored = false]) => ({ key, previous, value: store.get(key), restored }))
+        .filter(({ previous, value }) => !Object.is(previous, value));
+      if (changes.length === 0) return;
+
+      watchers.slice().forEach((watcher) => {
+        try {
+          watcher(changes);
+        } catch (error) {
+          console.error('State watcher error:', error);
+        }
+      });
+      changes.forEach(({ key, previous }) => notifySubscribers(key, previous));
+    };
+
+    const read = (path) => {
+      const [key, ...rest] = splitPath(path);
+      return getIn(store.get(key), rest);
+    };
+
+    // Every write is dispatched as { type: 'miojo/set', path, value } (persisted values
+    // being restored as 'miojo/restore'), so middleware sees and may drop it like any action
+    const actions = new Map();
+    const reducers = new Map();
+    const middlewares = [];
+    let chain = null;
+
+    const apply = (action) => {
+      if (action.type === SET_ACTION || action.type === RESTORE_ACTION) {
+        return write(action.path, action.value, action.type === RESTORE_ACTION);
+      }
+
+      const handler = actions.get(action.type);
+      if (!handler && reducers.size === 0) {
+        console.warn(`Miojo: no action or reducer handles "${action.type}"`);
+        return undefined;
+      }
+
+      return state.batch(() => {
+        reducers.forEach((reducer, key) => {
+          const value = read(key);
+          const next = reducer(value, action);
+          if (!Object.is(next, value)) state.set(key, next);
+        });
+        return handler ? handler(action.payload, api) : undefined;
+      });
+    };
+
+    const dispatch = (action, payload) => {
+      const normalized = typeof action === 'string' ? { type: action, payload } : action;
+      return (chain || apply)(normalized);
+    };
+
+    // What middleware and action handlers get to work with
+    const api = { get: read, dispatch };
+
+    // Cross-tab sync: other tabs using the same storageKey receive each committed change
+    // to a synced key. The latest write wins; its tab id breaks ties between equal times.
+    const synced = new Set();
+    const lastWrites = new Map();
+    // Values just received per key, so they aren't sent back
+    const incoming = new Map();
+    const TAB_ID = Date.now().toString(36) + Math.random().toString(36).slice(2);
+    let channel = null;
+
+    const serializerOf = (key) => (persistKeys.get(key) || {}).serializer;
+
+    const receive = (message) => {
+      const { key, value, time, source } = message || {};
+      if (!synced.has(key) || source === TAB_ID) return;
+
+      const last = lastWrites.get(key);
+      if (last && (time < last.time || (time === last.time && source < last.source))) return;
+      lastWrites.set(key, { time, source });
+
+      const serializer = serializerOf(key);
+      const received = serializer ? serializer.deserialize(value) : value;
+      incoming.set(key, received);
+      try {
+        state.set(key, received);
+      } finally {
+        incoming.delete(key);
+      }
+    };
+
+    // Restored values came from storage every tab shares, so they aren't sent
+    const broadcast = (changes) => {
+      changes.forEach(({ key, value, restored }) => {
+        if (!synced.has(key) || restored) return;
+        if (incoming.has(key) && Object.is(incoming.get(key), value)) return;
+
+        const time = Date.now();
+        lastWrites.set(key, { time, source: TAB_ID });
+        const serializer = serializerOf(key);
+        try {
+          channel.post({ key, value: serializer ? serializer.serialize(value) : value, time, source: TAB_ID });
+        } catch (error) {
+          console.warn('Failed to sync state:', error);
+        }
+      });
+    };
+
+    // BroadcastChannel where available, else messages passed through localStorage,
+    // which other tabs see as `storage` events
+    const openChannel = () => {
+      const name = `miojo:${STORAGE_KEY}`;
+
+      if (typeof BroadcastChannel !== 'undefined') {
+        const broadcastChannel = new BroadcastChannel(name);
+        broadcastChannel.onmessage = (event) => receive(event.data);
+        return { post: (message) => broadcastChannel.postMessage(message), close: () => broadcastChannel.close() };
+      }
+
+      if (typeof window === 'undefined' || typeof localStorage === 'undefined') {
+        console.warn('Miojo: cross-tab sync needs BroadcastChannel or localStorage');
+        return null;
+      }
+
+      const onStorage = (event) => {
+        if (event.key === name && event.newValue) receive(JSON.parse(event.newValue));
+      };
+      window.addEventListener('storage', onStorage);
+
+      return {
+        post: (message) => {
+          localStorage.setItem(name, JSON.stringify(message));
+          localStorage.removeItem(name);
+        },
+        close: () => window.removeEventListener('storage', onStorage),
+      };
+    };
+
+    const state = {
+      // Keys and dotted paths: set('user.address.city', 'Lima') copies `user` and
+      // `address` and leaves the rest of `user` as it was
+      set: curry((path, value) => dispatch({ type: SET_ACTION, path, value })),
+
+      get: (path) => read(path),
+
+      update: curry((path, updater) => dispatch({ type: SET_ACTION, path, value: updater(read(path)) })),
+
+      // dispatch('addItem', item) or dispatch({ type, payload }); returns what the action returned
+      dispatch,
+
+      // Named action: handler(payload, { get, dispatch }) runs as one batch. Returns a
+      // function dispatching it.
+      action: (name, handler) => {
+        actions.set(name, handler);
+        return (payload) => dispatch(name, payload);
+      },
+
+      // reducer(value, action) returns the key's next value for every named action
+      reducer: (key, reducer) => {
+        reducers.set(key, reducer);
+        return state;
+      },
+
+      // Middleware is ({ get, dispatch }) => (next) => (action) => result; the first one
+      // added runs first, and one that doesn't call next(action) cancels it
+      use: (...added) => {
+        middlewares.push(...added);
+        chain = compose(...middlewares.map((middleware) => middleware(api)))(apply);
+        return state;
+      },
+
+      // Callbacks get (value, path) when the value at the path, or anything beneath it, changes
+      subscribe: curry((path, callback) => {
+        const key = splitPath(path)[0];
+        if (!subscribers.has(key)) {
+          subscribers.set(key, new Map());
+        }
+        const paths = subscribers.get(key);
+        if (!paths.has(path)) {
+          paths.set(path, []);
+        }
+        paths.get(path).push(callback);
+
+        // Return unsubscribe function
+        return () => {
+          const callbacks = paths.get(path);
+          if (callbacks) {
+            const index = callbacks.indexOf(callback);
+            if (index > -1) {
+              callbacks.splice(index, 1);
+            }
+            if (callbacks.length === 0) paths.delete(path);
+          }
+        };
+      }),
 
       // Computed values with memoization
       computed: curry((keys, computer) => {
@@ -430,438 +2178,1431 @@
         let cachedKeys = [];
         let isInitialized = false;
 
-        const compute = () => {
-          const values = keys.map((key) => store.get(key));
+        const compute = () => {
+          const values = keys.map((key) => read(key));
+
+          // Check if any value changed
+          const hasChanged = !isInitialized || values.some((v, i) => v !== cachedKeys[i]);
+
+          if (hasChanged) {
+            try {
+              cachedValue = computer(...values);
+              cachedKeys = values;
+              isInitialized = true;
+            } catch (error) {
+              console.error('Computed value error:', error);
+              return undefined;
+            }
+          }
+
+          return cachedValue;
+        };
+
+        // Subscribe to all keys
+        keys.forEach((key) => {
+          state.subscribe(key, compute);
+        });
+
+        return compute;
+      }),
+
+      // Group several updates: subscribers run once per changed key, after fn returns
+      batch: (fn) => {
+        batchDepth++;
+        try {
+          return fn();
+        } finally {
+          batchDepth--;
+          if (batchDepth === 0) {
+            const changed = Array.from(batched, ([key, [previous, restored]]) => [key, previous, restored]);
+            batched.clear();
+            commit(changed);
+          }
+        }
+      },
+
+      // Called with the list of changes each write (or batch) commits; returns an unwatch function
+      watch: (watcher) => {
+        watchers.push(watcher);
+        return () => {
+          const index = watchers.indexOf(watcher);
+          if (index > -1) watchers.splice(index, 1);
+        };
+      },
+
+      // Mark a key as persistent, restoring its saved value. Options: `serializer`
+      // ({ serialize, deserialize }, see Persistence.serializers) and `ttl` in ms, after
+      // which a saved value is no longer restored.
+      persist: (key, persistOptions = {}) => {
+        const { serializer = null, ttl = 0 } = persistOptions;
+        persistKeys.set(key, { serializer, ttl });
+        if (ttl && store.has(key) && !expiries.has(key)) expiries.set(key, Date.now() + ttl);
+        listen();
+        if (!loadStarted) {
+          loading = loadPersisted();
+        } else if (loaded) {
+          restore(key);
+        }
+        scheduleSave();
+        return state;
+      },
+
+      // Keep top-level keys in sync with other tabs; returns a function that stops it
+      sync: (keys) => {
+        const list = Array.isArray(keys) ? keys : [keys];
+        list.forEach((key) => synced.add(key));
+
+        if (!channel) {
+          channel = openChannel();
+          if (channel) watchers.push(broadcast);
+        }
+
+        return () => {
+          list.forEach((key) => synced.delete(key));
+          if (synced.size === 0 && channel) {
+            channel.close();
+            channel = null;
+            watchers.splice(watchers.indexOf(broadcast), 1);
+          }
+        };
+      },
+
+      // Resolves once persisted values are loaded (right away unless the storage is asynchronous)
+      ready: () => Promise.resolve(loading).then(() => state),
+
+      // Write pending changes to storage now
+      save: () => Promise.resolve(savePersisted()).then(() => state),
+
+      // Save what is pending and stop listening to the page
+      destroy: () => {
+        if (saveTimer) savePersisted();
+        if (listening) {
+          window.removeEventListener('pagehide', onPageHide);
+          listening = false;
+        }
+      },
+
+      // Clear persisted data
+      clearPersisted: () => {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        saved = {};
+        expiries.clear();
+        try {
+          const result = adapter.remove(STORAGE_KEY);
+          if (result && typeof result.catch === 'function') {
+            result.catch((error) => console.warn('Failed to clear persisted state:', error));
+          }
+        } catch (error) {
+          console.warn('Failed to clear persisted state:', error);
+        }
+      }
+    };
+
+    return state;
+  };
+
+  // Standalone store; saves apart from every app and, until something is persisted,
+  // neither reads storage nor listens to the page
+  const State = createStore({ storageKey: 'miojo_state:standalone' });
+
+  // ============================================================================
+  // STATE HISTORY
+  // ============================================================================
+
+  // Undo/redo for a store, opt in per store. Every write is one entry and a batch is
+  // one entry; writes within `groupWithin` ms of the last one join its entry instead.
+  // Undoing and redoing set the keys again, so subscribers and bound views update.
+  const createHistory = (state, options = {}) => {
+    const { keys = null, limit = 100, groupWithin = 0 } = options;
+    const tracked = keys && new Set(keys);
+    const listeners = [];
+    let past = [];
+    let future = [];
+    // Entry that rapid changes may still join; closed by undo, redo and jumps
+    let open = null;
+    let replaying = false;
+
+    const notify = () => {
+      listeners.slice().forEach((callback) => {
+        try {
+          callback(stateHistory);
+        } catch (error) {
+          console.error('History listener error:', error);
+        }
+      });
+    };
+
+    // Values restored from storage are where the history starts, not steps to undo
+    const record = (changes) => {
+      if (replaying) return;
+      const relevant = changes.filter(({ key, restored }) => !restored && (!tracked || tracked.has(key)));
+      if (relevant.length === 0) return;
+
+      const now = Date.now();
+      future = [];
+
+      if (open && groupWithin > 0 && now - open.time <= groupWithin) {
+        relevant.forEach(({ key, previous, value }) => {
+          const change = open.changes.find((c) => c.key === key);
+          if (change) {
+            change.value = value;
+          } else {
+            open.changes.push({ key, previous, value });
+          }
+        });
+        open.time = now;
+      } else {
+        open = { changes: relevant.map(({ key, previous, value }) => ({ key, previous, value })), time: now };
+        past.push(open);
+        if (past.length > limit) past = past.slice(past.length - limit);
+      }
+
+      notify();
+    };
+
+    const unwatch = state.watch(record);
+
+    const undoStep = () => {
+      const entry = past.pop();
+      future.push(entry);
+      entry.changes.slice().reverse().forEach(({ key, previous }) => state.set(key, previous));
+    };
+
+    const redoStep = () => {
+      const entry = future.pop();
+      past.push(entry);
+      entry.changes.forEach(({ key, value }) => state.set(key, value));
+    };
+
+    // Replayed writes are applied as one batch and not recorded
+    const replay = (fn) => {
+      open = null;
+      replaying = true;
+      try {
+        state.batch(fn);
+      } finally {
+        replaying = false;
+      }
+      notify();
+    };
+
+    const stateHistory = {
+      undo: () => {
+        if (past.length > 0) replay(undoStep);
+        return stateHistory;
+      },
+
+      redo: () => {
+        if (future.length > 0) replay(redoStep);
+        return stateHistory;
+      },
+
+      canUndo: () => past.length > 0,
+      canRedo: () => future.length > 0,
+
+      // Every point the history can jump to, oldest first; index 0 is before the first entry
+      snapshots: () => [
+        { index: 0, time: null, keys: [] },
+        ...[...past, ...future.slice().reverse()].map((entry, i) => ({
+          index: i + 1,
+          time: entry.time,
+          keys: entry.changes.map(({ key }) => key),
+        })),
+      ].map((snapshot) => ({ ...snapshot, current: snapshot.index === past.length })),
+
+      jump: (index) => {
+        const target = Math.max(0, Math.min(index, past.length + future.length));
+        if (target !== past.length) {
+          replay(() => {
+            while (past.length > target) undoStep();
+            while (past.length < target) redoStep();
+          });
+        }
+        return stateHistory;
+      },
+
+      clear: () => {
+        past = [];
+        future = [];
+        open = null;
+        notify();
+        return stateHistory;
+      },
+
+      // Called with the history after every change to it (to enable undo buttons, ...)
+      subscribe: (callback) => {
+        listeners.push(callback);
+        return () => {
+          const index = listeners.indexOf(callback);
+          if (index > -1) listeners.splice(index, 1);
+        };
+      },
+
+      // Stop recording; the entries are dropped
+      destroy: () => {
+        unwatch();
+        past = [];
+        future = [];
+        open = null;
+        listeners.length = 0;
+      },
+    };
+
+    return stateHistory;
+  };
+
+  // ============================================================================
+  // LIFECYCLE MANAGEMENT
+  // ============================================================================
+
+  // Each view (the app container, every route outlet) gets its own lifecycle
+  const createLifecycle = () => {
+    let current = { onLoad: [], onUnload: [] };
+    let next = { onLoad: [], onUnload: [] };
+    let mountedOnce = false;
+
+    const lifecycle = {
+      onLoad: (cb) => {
+        next.onLoad.push(cb);
+        return lifecycle;
+      },
+
+      onUnload: (cb) => {
+        next.onUnload.push(cb);
+        return lifecycle;
+      },
+
+      triggerUnload: () => {
+        if (!mountedOnce) return lifecycle;
+
+        current.onUnload.forEach((cb) => {
+          try {
+            cb();
+          } catch (error) {
+            console.error('Lifecycle onUnload error:', error);
+          }
+        });
+
+        current = { onLoad: [], onUnload: [] };
+        return lifecycle;
+      },
+
+      promoteAndLoad: () => {
+        current = next;
+        next = { onLoad: [], onUnload: [] };
+
+        current.onLoad.forEach((cb) => {
+          try {
+            cb();
+          } catch (error) {
+            console.error('Lifecycle onLoad error:', error);
+          }
+        });
+
+        mountedOnce = true;
+        return lifecycle;
+      },
+    };
+
+    return lifecycle;
+  };
+
+  const Lifecycle = createLifecycle();
+
+  // ============================================================================
+  // HEAD MANAGEMENT
+  // ============================================================================
+
+  // Head data ({ title, titleTemplate, description, canonical, og: {}, meta: {} }) comes
+  // from several sources at once: app defaults, each route level and mounted components.
+  // Later and higher-priority sources win; the document is updated on every change.
+  const Head = (() => {
+    const sources = new Map(); // owner -> { head, priority, order }
+    const originals = new Map(); // selector -> value the page had before we changed it
+    let originalTitle = null;
+    let order = 0;
+
+    const PRIORITY = { app: 0, route: 10, component: 100 };
+    const MANAGED_ATTR = 'data-miojo-head';
+
+    // Object heads are templates rendered with `context` (and the app they belong to, for
+    // helpers like url); functions are called with `args` and return plain values.
+    // titleTemplate is rendered later, with the final title.
+    const resolve = (head, context = {}, args = [], app = null) => {
+      if (typeof head === 'function') return head(...args) || {};
+
+      const render = (value) => typeof value === 'string' ? TemplateEngine.renderText(value, context, app) : value;
+      return Object.entries(head || {}).reduce((acc, [key, value]) => {
+        if (key === 'titleTemplate') acc[key] = value;
+        else if (value && typeof value === 'object') {
+          acc[key] = Object.fromEntries(Object.entries(value).map(([k, v]) => [k, render(v)]));
+        } else acc[key] = render(value);
+        return acc;
+      }, {});
+    };
+
+    const merge = (heads) => heads.reduce((acc, head) => ({
+      ...acc,
+      ...head,
+      og: { ...acc.og, ...head.og },
+      meta: { ...acc.meta, ...head.meta },
+    }), { og: {}, meta: {} });
+
+    // Merge of the given heads with the title template applied
+    const compose = (heads) => {
+      const { titleTemplate, ...head } = merge(heads);
+      if (head.title && titleTemplate) {
+        head.title = TemplateEngine.renderText(titleTemplate, { title: head.title });
+      }
+      return head;
+    };
+
+    const current = () => compose(Array.from(sources.values())
+      .sort((a, b) => a.priority - b.priority || a.order - b.order)
+      .map((source) => source.head));
+
+    // Tags for a head: { selector, tag, attrs, value, valueAttr }
+    const tagsOf = (head) => {
+      const meta = (key, name, content) => ({
+        selector: `meta[${key}="${name}"]`, tag: 'meta', attrs: { [key]: name }, valueAttr: 'content', value: content
+      });
+
+      const tags = [];
+      if (head.description !== undefined) tags.push(meta('name', 'description', head.description));
+      Object.entries(head.og || {}).forEach(([key, value]) => tags.push(meta('property', `og:${key}`, value)));
+      Object.entries(head.meta || {}).forEach(([key, value]) => tags.push(meta('name', key, value)));
+      if (head.canonical !== undefined) {
+        tags.push({
+          selector: 'link[rel="canonical"]', tag: 'link', attrs: { rel: 'canonical' }, valueAttr: 'href', value: head.canonical
+        });
+      }
+      return tags.filter((tag) => tag.value !== undefined && tag.value !== null);
+    };
+
+    // Markup for a server-side or prerender step
+    const toHTML = (head) => {
+      const esc = TemplateEngine.escapeHTML;
+      const title = head.title ? `<title>${esc(head.title)}</title>\n` : '';
+      return title + tagsOf(head).map(({ tag, attrs, valueAttr, value }) => {
+        const attributes = Object.entries({ ...attrs, [valueAttr]: value })
+          .map(([name, v]) => `${name}="${esc(v)}"`).join(' ');
+        return `<${tag} ${attributes}>`;
+      }).join('\n');
+    };
+
+    // Bring the document in line with the current sources. Tags we created go away
+    // when no source sets them; tags the page already had get their value back.
+    const apply = () => {
+      if (typeof document === 'undefined') return;
+
+      const head = current();
+      if (originalTitle === null) originalTitle = document.title;
+      document.title = head.title !== undefined ? head.title : originalTitle;
+
+      const wanted = new Map(tagsOf(head).map((tag) => [tag.selector, tag]));
+
+      document.head.querySelectorAll(`[${MANAGED_ATTR}]`).forEach((el) => {
+        if (!wanted.has(el.getAttribute(MANAGED_ATTR))) el.remove();
+      });
+
+      originals.forEach((original, selector) => {
+        if (wanted.has(selector)) return;
+        const el = document.head.querySelector(selector);
+        if (el) el.setAttribute(original.attr, original.value);
+        originals.delete(selector);
+      });
+
+      wanted.forEach(({ selector, tag, attrs, valueAttr, value }) => {
+        let el = document.head.querySelector(selector);
+
+        if (!el) {
+          el = document.createElement(tag);
+          Object.entries(attrs).forEach(([name, v]) => el.setAttribute(name, v));
+          el.setAttribute(MANAGED_ATTR, selector);
+          document.head.appendChild(el);
+        } else if (!el.hasAttribute(MANAGED_ATTR) && !originals.has(selector)) {
+          originals.set(selector, { attr: valueAttr, value: el.getAttribute(valueAttr) || '' });
+        }
+
+        el.setAttribute(valueAttr, String(value));
+      });
+    };
+
+    const set = (owner, head, priority = PRIORITY.app) => {
+      const existing = sources.get(owner);
+      sources.set(owner, { head, priority, order: existing ? existing.order : ++order });
+      apply();
+    };
+
+    const remove = (owner) => {
+      if (sources.delete(owner)) apply();
+    };
+
+    return { set, remove, resolve, compose, current, toHTML, PRIORITY };
+  })();
+
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+
+  const helpers = {
+    // HTTP utilities
+    http: {
+      async request(url, options = {}) {
+        try {
+          const response = await fetch(url, options);
+
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+          }
+
+          const contentType = response.headers.get('content-type');
+          if (contentType && contentType.includes('application/json')) {
+            return await response.json();
+          }
+
+          return await response.text();
+        } catch (error) {
+          console.error('HTTP request error:', error);
+          throw error;
+        }
+      },
+
+      get: (url, options = {}) =>
+        helpers.http.request(url, { method: 'GET', ...options }),
+
+      post: (url, data, options = {}) =>
+        helpers.http.request(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...options.headers },
+          body: JSON.stringify(data),
+          ...options
+        }),
+
+      put: (url, data, options = {}) =>
+        helpers.http.request(url, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json', ...options.headers },
+          body: JSON.stringify(data),
+          ...options
+        }),
+
+      delete: (url, options = {}) =>
+        helpers.http.request(url, { method: 'DELETE', ...options }),
+    },
+
+    // DOM utilities
+    dom: {
+      qs: (selector, parent = document) => parent.querySelector(selector),
+      qsa: (selector, parent = document) => Array.from(parent.querySelectorAll(selector)),
+      create: (tag, attrs = {}) => {
+        const el = document.createElement(tag);
+        Object.entries(attrs).forEach(([key, value]) => {
+          if (key === 'className') el.className = value;
+          else if (key === 'textContent') el.textContent = value;
+          else el.setAttribute(key, value);
+        });
+        return el;
+      },
+      addClass: (className, el) => el.classList.add(className),
+      removeClass: (className, el) => el.classList.remove(className),
+      toggleClass: (className, el) => el.classList.toggle(className),
+      hasClass: (className, el) => el.classList.contains(className),
+    },
+
+    // Event delegation
+    on: (event, selector, handler, options = {}) => {
+      const listener = (e) => {
+        const target = e.target.closest(selector);
+        if (target) {
+          handler.call(target, e);
+        }
+      };
+
+      document.addEventListener(event, listener, options);
+
+      // Return cleanup function
+      return () => document.removeEventListener(event, listener, options);
+    },
+
+    // Performance utilities
+    debounce: (fn, delay) => {
+      let timeoutId;
+      return (...args) => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => fn.apply(this, args), delay);
+      };
+    },
+
+    throttle: (fn, delay) => {
+      let lastCall = 0;
+      return (...args) => {
+        const now = Date.now();
+        if (now - lastCall >= delay) {
+          lastCall = now;
+          return fn.apply(this, args);
+        }
+      };
+    },
+  };
+
+  // ============================================================================
+  // COMPONENT HOSTS AND OUTLETS
+  // ============================================================================
+
+  // Component host elements own the markup rendered inside them: the view that
+  // contains a host leaves its children, directives and bindings to the component
+  const HOST_ATTR = 'data-miojo-component';
+
+  const isHost = (node) => node.nodeType === 1 && node.hasAttribute(HOST_ATTR);
+
+  // Route outlets are boundaries too: a nested route renders into them and the
+  // layout around them leaves their content alone
+  const OUTLET_ATTR = 'data-miojo-outlet';
+
+  const isBoundary = (node) =>
+    node.nodeType === 1 && (node.hasAttribute(HOST_ATTR) || node.hasAttribute(OUTLET_ATTR));
+
+  // Outermost host or outlet between `el` (inclusive) and `root` (exclusive), if any
+  const outermostBoundary = (root, el) => {
+    let boundary = null;
+    for (let node = el; node && node !== root; node = node.parentNode) {
+      if (isBoundary(node)) boundary = node;
+    }
+    return boundary;
+  };
+
+  // ============================================================================
+  // DOM DIFFING (Intelligent DOM Updates)
+  // ============================================================================
+
+  const DOMDiff = (() => {
+    // Create a virtual node from a real DOM element
+    const createVNode = (el) => {
+      if (el.nodeType === Node.TEXT_NODE) {
+        return { type: 'text', value: el.textContent };
+      }
+
+      if (el.nodeType === Node.COMMENT_NODE) {
+        return { type: 'comment', value: el.textContent };
+      }
+
+      if (el.nodeType !== Node.ELEMENT_NODE) {
+        return null;
+      }
+
+      const vnode = {
+        type: 'element',
+        tag: el.tagName.toLowerCase(),
+        attrs: {},
+        children: []
+      };
+
+      // Copy attributes
+      Array.from(el.attributes).forEach(attr => {
+        vnode.attrs[attr.name] = attr.value;
+      });
+
+      // Copy children
+      Array.from(el.childNodes).forEach(child => {
+        const childVNode = createVNode(child);
+        if (childVNode) vnode.children.push(childVNode);
+      });
+
+      return vnode;
+    };
+
+    // Parse an HTML string into the list of its top-level VNodes, whitespace included
+    const parseChildren = (html) => {
+      const template = document.createElement('template');
+      template.innerHTML = html;
+
+      const children = [];
+      Array.from(template.content.childNodes).forEach(child => {
+        const vnode = createVNode(child);
+        if (vnode) children.push(vnode);
+      });
+
+      return children;
+    };
+
+    // Parse HTML string to VNode tree
+    const parseHTML = (html) => {
+      const children = parseChildren(html.trim());
+      return children.length === 1 ? children[0] : { type: 'fragment', children };
+    };
+
+    // Check if two vnodes are the same type
+    const sameVNode = (a, b) => {
+      if (!a || !b) return false;
+      if (a.type !== b.type) return false;
+      if (a.type === 'text' || a.type === 'comment') return true;
+      if (a.tag !== b.tag) return false;
+
+      // Key-based reconciliation for lists
+      const aKey = a.attrs?.key;
+      const bKey = b.attrs?.key;
+      if (aKey || bKey) {
+        return aKey === bKey;
+      }
+
+      return true;
+    };
+
+    // Boolean attributes backed by live DOM properties (attribute -> property)
+    const BOOLEAN_PROPS = {
+      checked: 'checked',
+      selected: 'selected',
+      disabled: 'disabled',
+      open: 'open',
+      multiple: 'multiple',
+      readonly: 'readOnly',
+      required: 'required',
+      hidden: 'hidden'
+    };
+
+    // Form controls whose `value` attribute only sets the initial value
+    const VALUE_TAGS = new Set(['INPUT', 'SELECT', 'TEXTAREA']);
+
+    // Elements whose content is managed by something else (e.g. third-party widgets)
+    const IGNORE_ATTR = 'data-miojo-ignore';
+
+    // `checked`, `checked=""` and `checked="checked"` are on; absent or "false" is off
+    const isOn = (value) => value !== undefined && value !== 'false';
+
+    // Live properties are controlled: once the template declares one (`value`, `checked`,
+    // ...), every render resets it to the template's, so a control keeps what the user
+    // typed or toggled only if the template renders it back. Properties it never declares
+    // are left to the user and to bind=. Values are only written when they differ, which
+    // keeps the cursor put.
+    const setLiveValue = (el, value) => {
+      if (el.value !== value) el.value = value;
+    };
+
+    // Keep boolean properties in line with the attributes the template declares
+    const syncBooleans = (el, oldAttrs, newAttrs) => {
+      Object.keys(BOOLEAN_PROPS).forEach(attr => {
+        if (!(attr in oldAttrs) && !(attr in newAttrs)) return;
+
+        const prop = BOOLEAN_PROPS[attr];
+        const on = isOn(newAttrs[attr]);
+
+        if (on && el.getAttribute(attr) !== newAttrs[attr]) {
+          el.setAttribute(attr, newAttrs[attr]);
+        } else if (!on && el.hasAttribute(attr)) {
+          el.removeAttribute(attr);
+        }
+
+        if (prop in el && el[prop] !== on) {
+          el[prop] = on;
+        }
+      });
+    };
+
+    // Update attributes
+    const updateAttributes = (el, oldAttrs = {}, newAttrs = {}) => {
+      // Remove old attributes
+      Object.keys(oldAttrs).forEach(key => {
+        if (!(key in newAttrs) && !(key in BOOLEAN_PROPS)) {
+          el.removeAttribute(key);
+          if (key === 'value' && VALUE_TAGS.has(el.tagName) && el.tagName !== 'SELECT') setLiveValue(el, '');
+        }
+      });
+
+      // Add/update new attributes
+      Object.keys(newAttrs).forEach(key => {
+        const newValue = newAttrs[key];
+        const oldValue = oldAttrs[key];
+
+        if (key in BOOLEAN_PROPS) return;
+
+        if (newValue !== oldValue) {
+          el.setAttribute(key, newValue);
+        }
+
+        // Select values are applied once their options are patched
+        if (key === 'value' && VALUE_TAGS.has(el.tagName) && el.tagName !== 'SELECT') {
+          setLiveValue(el, newValue);
+        }
+      });
+
+      syncBooleans(el, oldAttrs, newAttrs);
+    };
+
+    // Text content of a textarea vnode, i.e. the value it asks for
+    const textOf = (vnode) => (vnode.children || []).map(child => child.value || '').join('');
+
+    const keyOf = (vnode) => (vnode && vnode.type === 'element' ? vnode.attrs.key : undefined);
+
+    // DOM nodes that have a vnode counterpart (createVNode skips other node types)
+    const vnodeChildren = (parent) => Array.from(parent.childNodes).filter((node) =>
+      node.nodeType === Node.TEXT_NODE || node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.COMMENT_NODE);
+
+    // Unkeyed children are patched position by position
+    const patchIndexed = (parent, nodes, oldChildren, newChildren) => {
+      const common = Math.min(oldChildren.length, newChildren.length);
+
+      for (let i = 0; i < common; i++) {
+        patch(nodes[i], oldChildren[i], newChildren[i]);
+      }
+
+      for (let i = common; i < newChildren.length; i++) {
+        parent.appendChild(createElementFromVNode(newChildren[i]));
+      }
+
+      for (let i = common; i < oldChildren.length; i++) {
+        parent.removeChild(nodes[i]);
+      }
+    };
+
+    // Keyed children reuse the DOM node with the same key, wherever it was,
+    // and only the nodes that are out of place are moved
+    const patchKeyed = (parent, nodes, oldChildren, newChildren) => {
+      const oldKeys = new Map();
+      oldChildren.forEach((vnode, i) => {
+        const key = keyOf(vnode);
+        if (key !== undefined) oldKeys.set(key, i);
+      });
+
+      const used = new Set();
+      let unkeyedCursor = 0;
+
+      // Pick (and patch) or create the DOM node for every new child
+      const placed = newChildren.map((newVNode) => {
+        const key = keyOf(newVNode);
+        let index = -1;
+
+        if (key !== undefined) {
+          index = oldKeys.has(key) ? oldKeys.get(key) : -1;
+        } else {
+          // Unkeyed children among keyed ones match the next unkeyed old child
+          while (unkeyedCursor < oldChildren.length && keyOf(oldChildren[unkeyedCursor]) !== undefined) {
+            unkeyedCursor++;
+          }
+          if (unkeyedCursor < oldChildren.length) index = unkeyedCursor++;
+        }
+
+        if (index !== -1 && !used.has(index) && sameVNode(oldChildren[index], newVNode)) {
+          used.add(index);
+          patch(nodes[index], oldChildren[index], newVNode);
+          return nodes[index];
+        }
+
+        return createElementFromVNode(newVNode);
+      });
+
+      oldChildren.forEach((vnode, i) => {
+        if (!used.has(i)) parent.removeChild(nodes[i]);
+      });
+
+      let ref = parent.firstChild;
+      placed.forEach((node) => {
+        if (node === ref) {
+          ref = ref.nextSibling;
+        } else {
+          parent.insertBefore(node, ref);
+        }
+      });
+    };
+
+    // Diff and patch children
+    const patchChildren = (parent, oldChildren = [], newChildren = []) => {
+      const nodes = vnodeChildren(parent);
+      const keyed = newChildren.some((vnode) => keyOf(vnode) !== undefined) ||
+        oldChildren.some((vnode) => keyOf(vnode) !== undefined);
+
+      if (keyed) {
+        patchKeyed(parent, nodes, oldChildren, newChildren);
+      } else {
+        patchIndexed(parent, nodes, oldChildren, newChildren);
+      }
+    };
+
+    // Create a real DOM element from a VNode
+    const createElementFromVNode = (vnode) => {
+      if (vnode.type === 'text') {
+        return document.createTextNode(vnode.value);
+      }
+
+      if (vnode.type === 'comment') {
+        return document.createComment(vnode.value);
+      }
+
+      if (vnode.type === 'fragment') {
+        const fragment = document.createDocumentFragment();
+        vnode.children.forEach(child => {
+          fragment.appendChild(createElementFromVNode(child));
+        });
+        return fragment;
+      }
+
+      const el = document.createElement(vnode.tag);
 
-          // Check if any value changed
-          const hasChanged = !isInitialized || values.some((v, i) => v !== cachedKeys[i]);
+      // Set attributes
+      Object.keys(vnode.attrs || {}).forEach(key => {
+        if (!(key in BOOLEAN_PROPS)) {
+          el.setAttribute(key, vnode.attrs[key]);
+        }
+      });
 
-          if (hasChanged) {
-            try {
-              cachedValue = computer(...values);
-              cachedKeys = values;
-              isInitialized = true;
-            } catch (error) {
-              console.error('Computed value error:', error);
-              return undefined;
-            }
-          }
+      // Add children
+      (vnode.children || []).forEach(child => {
+        el.appendChild(createElementFromVNode(child));
+      });
 
-          return cachedValue;
-        };
+      // Boolean properties last, so <option selected> wins over the default selection
+      syncBooleans(el, {}, vnode.attrs || {});
+      if (el.tagName === 'SELECT' && 'value' in vnode.attrs) {
+        el.value = vnode.attrs.value;
+      }
 
-        // Subscribe to all keys
-        keys.forEach((key) => {
-          State.subscribe(key, compute);
-        });
+      return el;
+    };
 
-        return compute;
-      }),
+    // Main patch function - diff and update DOM
+    const patch = (el, oldVNode, newVNode) => {
+      // Replace with new element if not same type
+      if (!sameVNode(oldVNode, newVNode)) {
+        const newEl = createElementFromVNode(newVNode);
+        el.parentNode?.replaceChild(newEl, el);
+        return;
+      }
 
-      // Mark a key as persistent
-      persist: (key) => {
-        persistKeys.add(key);
-        savePersisted();
-        return State;
-      },
+      // Update text and comment nodes
+      if (newVNode.type === 'text' || newVNode.type === 'comment') {
+        if (oldVNode.value !== newVNode.value) {
+          el.textContent = newVNode.value;
+        }
+        return;
+      }
 
-      // Clear persisted data
-      clearPersisted: () => {
-        try {
-          if (typeof localStorage !== 'undefined') {
-            localStorage.removeItem(STORAGE_KEY);
-          }
-        } catch (error) {
-          console.warn('Failed to clear persisted state:', error);
+      // Update attributes
+      if (newVNode.type === 'element') {
+        // Component hosts keep their mount marker and the content their instance rendered
+        if (isHost(el)) {
+          updateAttributes(el, oldVNode.attrs, { ...newVNode.attrs, [HOST_ATTR]: el.getAttribute(HOST_ATTR) });
+          return;
+        }
+
+        updateAttributes(el, oldVNode.attrs, newVNode.attrs);
+
+        // Content marked data-miojo-ignore belongs to someone else, outlet content to a nested route
+        if (IGNORE_ATTR in newVNode.attrs || OUTLET_ATTR in newVNode.attrs) return;
+
+        // Patch children
+        patchChildren(el, oldVNode.children, newVNode.children);
+
+        // Live values that depend on the children
+        if (el.tagName === 'TEXTAREA') {
+          setLiveValue(el, textOf(newVNode));
+        } else if (el.tagName === 'SELECT' && 'value' in newVNode.attrs) {
+          setLiveValue(el, newVNode.attrs.value);
+        }
+      }
+    };
+
+    // Main diff function: reconciles the container's whole child list, so
+    // templates with several top-level nodes (or none) patch correctly
+    const diff = (container, oldHTML, newHTML) => {
+      try {
+        // If no old content, just set innerHTML
+        if (!oldHTML || container.childNodes.length === 0) {
+          container.innerHTML = newHTML;
+          container.querySelectorAll('select[value]').forEach(select => {
+            select.value = select.getAttribute('value');
+          });
+          return;
         }
+
+        // Diff the current DOM against the new markup
+        const currentChildren = vnodeChildren(container).map(createVNode);
+        patchChildren(container, currentChildren, parseChildren(newHTML));
+      } catch (error) {
+        console.error('DOM Diff error:', error);
+        // Fallback to innerHTML on error
+        container.innerHTML = newHTML;
       }
     };
+
+    return {
+      diff,
+      parseHTML,
+      parseChildren,
+      createVNode,
+      patch
+    };
   })();
 
   // ============================================================================
-  // LIFECYCLE MANAGEMENT
+  // EVENT DIRECTIVES
   // ============================================================================
 
-  const Lifecycle = (() => {
-    let current = { onLoad: [], onUnload: [] };
-    let next = { onLoad: [], onUnload: [] };
-    let mountedOnce = false;
+  const EventDirectives = (() => {
+    // `@click="name"` in templates is expanded to this attribute prefix
+    const PREFIX = 'data-on-';
+    const NON_BUBBLING = new Set(['focus', 'blur', 'mouseenter', 'mouseleave', 'load', 'error', 'scroll']);
+    const LITERALS = { true: true, false: false, null: null };
+
+    // "remove 3 'draft'" -> ['remove', 3, 'draft']
+    const parseCall = (value) => (value.match(/'[^']*'|"[^"]*"|\S+/g) || []).map((part, i) => {
+      if (i === 0) return part;
+      if (/^(['"]).*\1$/.test(part)) return part.slice(1, -1);
+      if (part in LITERALS) return LITERALS[part];
+      return /^-?\d+(\.\d+)?$/.test(part) ? Number(part) : part;
+    });
 
-    return {
-      onLoad: (cb) => {
-        next.onLoad.push(cb);
-        return Lifecycle;
-      },
+    // Find the directive for an event type on an element, with its modifiers
+    const findDirective = (el, type) => {
+      const name = PREFIX + type;
+      const attr = Array.from(el.attributes).find((a) => a.name === name || a.name.startsWith(name + '.'));
+      if (!attr) return null;
+      return { value: attr.value, modifiers: new Set(attr.name.split('.').slice(1)) };
+    };
 
-      onUnload: (cb) => {
-        next.onUnload.push(cb);
-        return Lifecycle;
-      },
+    // Delegate every directive inside `root` to handlers found through `resolve(name)`
+    const create = (root, resolve) => {
+      const listeners = new Map();
 
-      triggerUnload: () => {
-        if (!mountedOnce) return Lifecycle;
+      const run = (el, event, directive) => {
+        const { modifiers } = directive;
+        if (modifiers.has('self') && event.target !== el) return;
+        if (modifiers.has('prevent')) event.preventDefault();
+        if (modifiers.has('stop')) event.stopPropagation();
 
-        current.onUnload.forEach((cb) => {
-          try {
-            cb();
-          } catch (error) {
-            console.error('Lifecycle onUnload error:', error);
-          }
-        });
+        const [name, ...args] = parseCall(directive.value);
+        const handler = name && resolve(name);
 
-        current = { onLoad: [], onUnload: [] };
-        return Lifecycle;
-      },
+        if (!handler) {
+          console.warn(`Miojo: no handler registered for "${name}" (${event.type})`);
+          return;
+        }
 
-      promoteAndLoad: () => {
-        current = next;
-        next = { onLoad: [], onUnload: [] };
+        try {
+          handler.call(el, event, ...args);
+        } catch (error) {
+          console.error('Event handler error:', error);
+        }
+      };
 
-        current.onLoad.forEach((cb) => {
-          try {
-            cb();
-          } catch (error) {
-            console.error('Lifecycle onLoad error:', error);
-          }
+      const dispatch = (event) => {
+        // Events from inside a nested component or route outlet are handled by
+        // that view, starting again at its host or outlet element
+        const host = outermostBoundary(root, event.target);
+
+        // Non-bubbling events are caught in the capture phase and only run on their target
+        if (!event.bubbles) {
+          if (host && host !== event.target) return;
+          const directive = event.target.nodeType === 1 && findDirective(event.target, event.type);
+          if (directive) run(event.target, event, directive);
+          return;
+        }
+
+        for (let el = host || event.target; el && el !== root; el = el.parentNode) {
+          if (el.nodeType !== 1) continue;
+          const directive = findDirective(el, event.type);
+          if (!directive) continue;
+          run(el, event, directive);
+          if (directive.modifiers.has('stop')) break;
+        }
+      };
+
+      // Listen once per event type used by the current markup
+      const bind = () => {
+        root.querySelectorAll('*').forEach((el) => {
+          Array.from(el.attributes).forEach(({ name }) => {
+            if (!name.startsWith(PREFIX)) return;
+            const type = name.slice(PREFIX.length).split('.')[0];
+            if (!type || listeners.has(type)) return;
+
+            const capture = NON_BUBBLING.has(type);
+            root.addEventListener(type, dispatch, capture);
+            listeners.set(type, capture);
+          });
         });
+      };
 
-        mountedOnce = true;
-        return Lifecycle;
-      },
+      const unbind = () => {
+        listeners.forEach((capture, type) => root.removeEventListener(type, dispatch, capture));
+        listeners.clear();
+      };
+
+      return { bind, unbind };
     };
+
+    return { PREFIX, create, parseCall };
   })();
 
   // ============================================================================
-  // HELPERS
+  // FORM BINDING
   // ============================================================================
 
-  const helpers = {
-    // HTTP utilities
-    http: {
-      async request(url, options = {}) {
-        try {
-          const response = await fetch(url, options);
+  const FormBinding = (() => {
+    // bind="key", bind.number="age", data-model.lazy="user.name", ...
+    const ATTRIBUTES = ['bind', 'data-model'];
 
-          if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-          }
+    const findBinding = (el) => {
+      const attr = Array.from(el.attributes).find((a) =>
+        ATTRIBUTES.some((name) => a.name === name || a.name.startsWith(name + '.')));
+      if (!attr || !attr.value) return null;
 
-          const contentType = response.headers.get('content-type');
-          if (contentType && contentType.includes('application/json')) {
-            return await response.json();
-          }
+      const [key, ...path] = attr.value.trim().split('.');
+      return { key, path, modifiers: new Set(attr.name.split('.').slice(1)) };
+    };
 
-          return await response.text();
-        } catch (error) {
-          console.error('HTTP request error:', error);
-          throw error;
-        }
-      },
+    const coerce = (value, modifiers) => {
+      if (typeof value !== 'string') return value;
+      if (modifiers.has('trim')) value = value.trim();
+      if (modifiers.has('number')) {
+        const number = parseFloat(value);
+        return value.trim() === '' || isNaN(number) ? value : number;
+      }
+      if (modifiers.has('boolean')) return value === 'true' || value === 'on';
+      return value;
+    };
 
-      get: (url, options = {}) =>
-        helpers.http.request(url, { method: 'GET', ...options }),
+    const isToggle = (el) => el.type === 'checkbox' || el.type === 'radio';
+    const isTextLike = (el) => el.tagName === 'TEXTAREA' || (el.tagName === 'INPUT' && !isToggle(el));
 
-      post: (url, data, options = {}) =>
-        helpers.http.request(url, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', ...options.headers },
-          body: JSON.stringify(data),
-          ...options
-        }),
+    // Read the value a control represents, given the current bound value
+    const readValue = (el, current, modifiers) => {
+      if (el.type === 'checkbox') {
+        if (!Array.isArray(current)) return el.checked;
+        const value = coerce(el.value, modifiers);
+        const without = current.filter((item) => item !== value);
+        return el.checked ? [...without, value] : without;
+      }
+      if (el.tagName === 'SELECT' && el.multiple) {
+        return Array.from(el.selectedOptions).map((option) => coerce(option.value, modifiers));
+      }
+      return coerce(el.value, modifiers);
+    };
 
-      put: (url, data, options = {}) =>
-        helpers.http.request(url, {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json', ...options.headers },
-          body: JSON.stringify(data),
-          ...options
-        }),
+    // Push a bound value into a control's live properties
+    const writeValue = (el, value) => {
+      if (el.type === 'checkbox') {
+        el.checked = Array.isArray(value) ? value.map(String).includes(el.value) : !!value;
+      } else if (el.type === 'radio') {
+        el.checked = value !== undefined && value !== null && String(value) === el.value;
+      } else if (el.tagName === 'SELECT' && el.multiple) {
+        const selected = (Array.isArray(value) ? value : []).map(String);
+        Array.from(el.options).forEach((option) => {
+          option.selected = selected.includes(option.value);
+        });
+      } else {
+        const text = value === undefined || value === null ? '' : String(value);
+        if (el.value !== text) el.value = text;
+      }
+    };
 
-      delete: (url, options = {}) =>
-        helpers.http.request(url, { method: 'DELETE', ...options }),
-    },
+    // Keep controls inside `root` in sync with a store exposing get(key) / set(key, value)
+    const create = (root, store) => {
+      let listening = false;
 
-    // DOM utilities
-    dom: {
-      qs: (selector, parent = document) => parent.querySelector(selector),
-      qsa: (selector, parent = document) => Array.from(parent.querySelectorAll(selector)),
-      create: (tag, attrs = {}) => {
-        const el = document.createElement(tag);
-        Object.entries(attrs).forEach(([key, value]) => {
-          if (key === 'className') el.className = value;
-          else if (key === 'textContent') el.textContent = value;
-          else el.setAttribute(key, value);
-        });
-        return el;
-      },
-      addClass: (className, el) => el.classList.add(className),
-      removeClass: (className, el) => el.classList.remove(className),
-      toggleClass: (className, el) => el.classList.toggle(className),
-      hasClass: (className, el) => el.classList.contains(className),
-    },
+      const read = ({ key, path }) => getIn(store.get(key), path);
 
-    // Event delegation
-    on: (event, selector, handler, options = {}) => {
-      const listener = (e) => {
-        const target = e.target.closest(selector);
-        if (target) {
-          handler.call(target, e);
-        }
-      };
+      const onEvent = (event) => {
+        const el = event.target;
+        if (!el || el.nodeType !== 1) return;
 
-      document.addEventListener(event, listener, options);
+        const binding = findBinding(el);
+        if (!binding || outermostBoundary(root, el)) return;
 
-      // Return cleanup function
-      return () => document.removeEventListener(event, listener, options);
-    },
+        // Text inputs update per keystroke unless .lazy; toggles and selects on change
+        const eventType = isTextLike(el) && !binding.modifiers.has('lazy') ? 'input' : 'change';
+        if (event.type !== eventType) return;
+        if (el.type === 'radio' && !el.checked) return;
 
-    // Performance utilities
-    debounce: (fn, delay) => {
-      let timeoutId;
-      return (...args) => {
-        clearTimeout(timeoutId);
-        timeoutId = setTimeout(() => fn.apply(this, args), delay);
-      };
-    },
+        const { key, path, modifiers } = binding;
+        const value = readValue(el, read(binding), modifiers);
 
-    throttle: (fn, delay) => {
-      let lastCall = 0;
-      return (...args) => {
-        const now = Date.now();
-        if (now - lastCall >= delay) {
-          lastCall = now;
-          return fn.apply(this, args);
+        if (path.length === 0) {
+          store.set(key, value);
+        } else {
+          store.set(key, setIn(store.get(key), path, value));
         }
       };
-    },
-  };
-
-  // ============================================================================
-  // DOM DIFFING (Intelligent DOM Updates)
-  // ============================================================================
 
-  const DOMDiff = (() => {
-    // Create a virtual node from a real DOM element
-    const createVNode = (el) => {
-      if (el.nodeType === Node.TEXT_NODE) {
-        return { type: 'text', value: el.textContent };
-      }
+      const bind = () => {
+        let found = false;
 
-      if (el.nodeType !== Node.ELEMENT_NODE) {
-        return null;
-      }
+        root.querySelectorAll('input, select, textarea').forEach((el) => {
+          const binding = findBinding(el);
+          if (!binding || outermostBoundary(root, el)) return;
+          found = true;
 
-      const vnode = {
-        type: 'element',
-        tag: el.tagName.toLowerCase(),
-        attrs: {},
-        children: []
-      };
+          // Leave the focused text field alone so typing isn't interrupted
+          if (el === document.activeElement && isTextLike(el)) return;
+          writeValue(el, read(binding));
+        });
 
-      // Copy attributes
-      Array.from(el.attributes).forEach(attr => {
-        vnode.attrs[attr.name] = attr.value;
-      });
+        if (found && !listening) {
+          root.addEventListener('input', onEvent);
+          root.addEventListener('change', onEvent);
+          listening = true;
+        }
+      };
 
-      // Copy children
-      Array.from(el.childNodes).forEach(child => {
-        const childVNode = createVNode(child);
-        if (childVNode) vnode.children.push(childVNode);
-      });
+      const unbind = () => {
+        root.removeEventListener('input', onEvent);
+        root.removeEventListener('change', onEvent);
+        listening = false;
+      };
 
-      return vnode;
+      return { bind, unbind };
     };
 
-    // Parse HTML string to VNode tree
-    const parseHTML = (html) => {
-      const template = document.createElement('template');
-      template.innerHTML = html.trim();
+    return { create, findBinding };
+  })();
 
-      const children = [];
-      Array.from(template.content.childNodes).forEach(child => {
-        const vnode = createVNode(child);
-        if (vnode) children.push(vnode);
-      });
+  // ============================================================================
+  // COMPONENTS
+  // ============================================================================
 
-      return children.length === 1 ? children[0] : { type: 'fragment', children };
+  const Components = (() => {
+    const definitions = new Map(); // tag -> definition
+    const instances = new Map(); // host element -> instance
+    const pendingProps = new Map(); // props passed through {{> Name}}, read at mount
+    const PROPS_ATTR = 'data-miojo-props';
+    let nextPropsId = 0;
+    let mountDepth = 0;
+
+    const toKebab = (name) => name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/_/g, '-').toLowerCase();
+    const toCamel = (name) => name.replace(/-([a-z])/g, (match, char) => char.toUpperCase());
+
+    // Custom elements need a dash: UserCard -> <user-card>, Counter -> <miojo-counter>
+    const tagFor = (name) => {
+      const tag = toKebab(name);
+      return tag.includes('-') ? tag : `miojo-${tag}`;
     };
 
-    // Check if two vnodes are the same type
-    const sameVNode = (a, b) => {
-      if (!a || !b) return false;
-      if (a.type !== b.type) return false;
-      if (a.type === 'text') return true;
-      if (a.tag !== b.tag) return false;
+    // Host markup for a component, used by {{> Name}} and the function app.component returns
+    const hostHTML = (name, props = {}) => {
+      const id = String(++nextPropsId);
+      const tag = tagFor(name);
+      const key = props.key !== undefined ? ` key="${TemplateEngine.escapeHTML(props.key)}"` : '';
+      pendingProps.set(id, props);
+      return `<${tag}${key} ${PROPS_ATTR}="${id}"></${tag}>`;
+    };
 
-      // Key-based reconciliation for lists
-      const aKey = a.attrs?.key;
-      const bKey = b.attrs?.key;
-      if (aKey || bKey) {
-        return aKey === bKey;
+    const define = (name, definition) => {
+      if (!definition || definition.template === undefined) {
+        throw new Error(`Miojo Error: Component "${name}" needs a template`);
       }
 
-      return true;
-    };
-
-    // Update attributes
-    const updateAttributes = (el, oldAttrs = {}, newAttrs = {}) => {
-      // Remove old attributes
-      Object.keys(oldAttrs).forEach(key => {
-        if (!(key in newAttrs)) {
-          el.removeAttribute(key);
-        }
+      const tag = tagFor(name);
+      definitions.set(tag, {
+        ...definition,
+        name,
+        tag,
+        render: typeof definition.template === 'function'
+          ? definition.template
+          : TemplateEngine.precompile(definition.template)
       });
 
-      // Add/update new attributes
-      Object.keys(newAttrs).forEach(key => {
-        const newValue = newAttrs[key];
-        const oldValue = oldAttrs[key];
+      TemplateEngine.registerPartial(name, (props) => hostHTML(name, props));
+      return tag;
+    };
 
-        if (newValue !== oldValue) {
-          if (key === 'value' && el.tagName === 'INPUT') {
-            // Special handling for input values to preserve cursor position
-            if (document.activeElement !== el) {
-              el.value = newValue;
-            }
-          } else if (key === 'checked') {
-            el.checked = newValue === 'true' || newValue === 'checked';
-          } else {
-            el.setAttribute(key, newValue);
-          }
-        }
+    const shallowEqual = (a, b) => {
+      const keys = Object.keys(a);
+      return keys.length === Object.keys(b).length && keys.every((key) => a[key] === b[key]);
+    };
+
+    // Props come from the host's attributes plus anything passed through {{> Name key=value}}
+    const readProps = (host, def, passed) => {
+      const props = {};
+      Array.from(host.attributes).forEach(({ name, value }) => {
+        if (name.startsWith('data-miojo-') || name.startsWith(EventDirectives.PREFIX)) return;
+        props[toCamel(name)] = value;
       });
+      Object.assign(props, passed);
+
+      if (!Array.isArray(def.props)) return props;
+      return def.props.reduce((acc, key) => {
+        if (key in props) acc[key] = props[key];
+        return acc;
+      }, {});
     };
 
-    // Diff and patch children
-    const patchChildren = (parent, oldChildren = [], newChildren = []) => {
-      const oldLen = oldChildren.length;
-      const newLen = newChildren.length;
-      const maxLen = Math.max(oldLen, newLen);
-
-      for (let i = 0; i < maxLen; i++) {
-        const oldVNode = oldChildren[i];
-        const newVNode = newChildren[i];
-        const childEl = parent.childNodes[i];
-
-        if (!newVNode) {
-          // Remove extra old nodes
-          if (childEl) {
-            parent.removeChild(childEl);
-          }
-        } else if (!oldVNode) {
-          // Add new nodes
-          const newEl = createElementFromVNode(newVNode);
-          parent.appendChild(newEl);
-        } else {
-          // Patch existing nodes
-          patch(childEl, oldVNode, newVNode);
-        }
+    const callHook = (instance, hook) => {
+      try {
+        return instance.def[hook]?.(instance.ctx);
+      } catch (error) {
+        console.error(`Component ${instance.def.name} ${hook} error:`, error);
+        return undefined;
       }
     };
 
-    // Create a real DOM element from a VNode
-    const createElementFromVNode = (vnode) => {
-      if (vnode.type === 'text') {
-        return document.createTextNode(vnode.value);
-      }
+    // Re-render one instance into its host, leaving the rest of the page untouched
+    const render = (instance) => {
+      const { def, host } = instance;
+      let html;
 
-      if (vnode.type === 'fragment') {
-        const fragment = document.createDocumentFragment();
-        vnode.children.forEach(child => {
-          fragment.appendChild(createElementFromVNode(child));
-        });
-        return fragment;
+      try {
+        html = def.render({ ...instance.props, ...instance.state }, instance.app);
+      } catch (error) {
+        console.error(`Component ${def.name} render error:`, error);
+        html = `<div style="color: red; padding: 20px;">
+          <strong>Component Error (${TemplateEngine.escapeHTML(def.name)}):</strong> ${TemplateEngine.escapeHTML(error.message)}
+        </div>`;
       }
 
-      const el = document.createElement(vnode.tag);
+      DOMDiff.diff(host, instance.html, html);
+      instance.html = html;
+      instance.events.bind();
+      instance.forms.bind();
+      mount(host, instance.owner, instance.app);
 
-      // Set attributes
-      Object.keys(vnode.attrs || {}).forEach(key => {
-        if (key === 'checked') {
-          el.checked = vnode.attrs[key] === 'true' || vnode.attrs[key] === 'checked';
-        } else {
-          el.setAttribute(key, vnode.attrs[key]);
+      if (def.head) {
+        Head.set(instance, Head.resolve(def.head, { ...instance.props, ...instance.state }, [instance.ctx], instance.app), Head.PRIORITY.component);
+      }
+    };
+
+    const create = (host, def, owner, passed, app) => {
+      const instance = { def, host, owner, passed, app, props: readProps(host, def, passed), state: {}, html: '', cleanup: null };
+
+      instance.ctx = {
+        name: def.name,
+        el: host,
+        get props() { return instance.props; },
+        get state() { return instance.state; },
+
+        // setState('key', value) or setState({ key: value })
+        setState: (key, value) => {
+          const changes = typeof key === 'object' && key !== null ? key : { [key]: value };
+          instance.state = { ...instance.state, ...changes };
+          Scheduler.schedule(instance.update);
+          return instance.ctx;
         }
+      };
+
+      // Local updates are batched like State updates: one render per tick
+      instance.update = () => {
+        if (instances.get(host) === instance) render(instance);
+      };
+
+      const initial = typeof def.state === 'function' ? def.state(instance.props) : def.state;
+      instance.state = { ...(initial || {}) };
+
+      // Handlers receive the component context first: (ctx, event, ...args)
+      instance.events = EventDirectives.create(host, (name) => {
+        const handler = def.handlers?.[name];
+        return handler && ((event, ...args) => handler(instance.ctx, event, ...args));
       });
 
-      // Add children
-      (vnode.children || []).forEach(child => {
-        el.appendChild(createElementFromVNode(child));
+      // bind="key" inside a component binds to its local state
+      instance.forms = FormBinding.create(host, {
+        get: (key) => instance.state[key],
+        set: (key, value) => instance.ctx.setState(key, value)
       });
 
-      return el;
+      host.setAttribute(HOST_ATTR, def.name);
+      instances.set(host, instance);
+      render(instance);
+
+      const cleanup = callHook(instance, 'onMount');
+      if (typeof cleanup === 'function') instance.cleanup = cleanup;
+
+      return instance;
     };
 
-    // Main patch function - diff and update DOM
-    const patch = (el, oldVNode, newVNode) => {
-      // Replace with new element if not same type
-      if (!sameVNode(oldVNode, newVNode)) {
-        const newEl = createElementFromVNode(newVNode);
-        el.parentNode?.replaceChild(newEl, el);
-        return;
-      }
+    const destroy = (instance) => {
+      instances.delete(instance.host);
+      instance.events.unbind();
+      instance.forms.unbind();
+      Head.remove(instance);
 
-      // Update text nodes
-      if (newVNode.type === 'text') {
-        if (oldVNode.value !== newVNode.value) {
-          el.textContent = newVNode.value;
+      if (instance.cleanup) {
+        try {
+          instance.cleanup();
+        } catch (error) {
+          console.error(`Component ${instance.def.name} cleanup error:`, error);
         }
-        return;
       }
+      callHook(instance, 'onDestroy');
+    };
 
-      // Update attributes
-      if (newVNode.type === 'element') {
-        updateAttributes(el, oldVNode.attrs, newVNode.attrs);
+    // Destroy instances whose host is no longer inside `owner`
+    const sweep = (owner) => {
+      instances.forEach((instance) => {
+        if (instance.owner === owner && !owner.contains(instance.host)) destroy(instance);
+      });
+    };
 
-        // Patch children
-        patchChildren(el, oldVNode.children, newVNode.children);
-      }
+    const destroyAll = (owner) => {
+      instances.forEach((instance) => {
+        if (instance.owner === owner) destroy(instance);
+      });
     };
 
-    // Main diff function
-    const diff = (container, oldHTML, newHTML) => {
+    // Mount new hosts inside `root` and pass changed props to existing ones; `app` is
+    // handed to their templates
+    const mount = (root, owner = root, app = null) => {
+      if (definitions.size === 0) return;
+      mountDepth++;
+
       try {
-        // Parse both HTML strings to VNode trees
-        const oldVNode = oldHTML ? parseHTML(oldHTML) : null;
-        const newVNode = parseHTML(newHTML);
+        const selector = Array.from(definitions.keys()).join(',');
 
-        // If no old content, just set innerHTML
-        if (!oldVNode || container.childNodes.length === 0) {
-          container.innerHTML = newHTML;
-          return;
-        }
+        root.querySelectorAll(selector).forEach((host) => {
+          const def = definitions.get(host.tagName.toLowerCase());
+          const instance = instances.get(host);
+          const id = host.getAttribute(PROPS_ATTR);
 
-        // Create VNode from current DOM
-        const currentVNode = createVNode(container.firstChild);
+          let passed = instance ? instance.passed : {};
+          if (id && pendingProps.has(id)) {
+            passed = pendingProps.get(id);
+            pendingProps.delete(id);
+          }
 
-        // Patch the DOM
-        if (container.childNodes.length > 0) {
-          patch(container.firstChild, currentVNode, newVNode);
-        } else {
-          container.appendChild(createElementFromVNode(newVNode));
+          if (!instance) {
+            create(host, def, owner, passed, app);
+            return;
+          }
+
+          const props = readProps(host, def, passed);
+          if (shallowEqual(props, instance.props)) return;
+
+          instance.passed = passed;
+          instance.props = props;
+          render(instance);
+        });
+      } finally {
+        mountDepth--;
+        if (mountDepth === 0) {
+          pendingProps.clear();
+          sweep(owner);
         }
-      } catch (error) {
-        console.error('DOM Diff error:', error);
-        // Fallback to innerHTML on error
-        container.innerHTML = newHTML;
       }
     };
 
-    return {
-      diff,
-      parseHTML,
-      createVNode,
-      patch
-    };
+    return { define, hostHTML, mount, sweep, destroyAll, tagFor };
   })();
 
   // ============================================================================
   // APP CREATION
   // ============================================================================
 
+  // {{ url 'user' id=5 }} links to named routes of the app rendering the template
+  TemplateEngine.registerHelper('url', (name, options) =>
+    (options.app ? options.app.url : Router.url)(name, options.hash));
+
+  // Apps save under 'miojo_state:' plus their container's selector or id; the default
+  // '#app' container keeps plain 'miojo_state', where earlier versions saved
+  const defaultStorageKey = (container, element) => {
+    const name = typeof container === 'string' ? container : element.id && `#${element.id}`;
+    return !name || name === '#app' ? 'miojo_state' : `miojo_state:${name}`;
+  };
+
+  // storageKey of each live app, to warn when two would overwrite each other's saved state
+  const appStorageKeys = new Set();
+
   const createApp = (config = {}) => {
     const container = config.container || "#app";
     const useDiff = config.useDiff !== false; // Default to true
+    // State-driven renders: 'microtask' (default), 'frame' or 'sync'
+    const renderMode = config.renderMode || 'microtask';
     const element = typeof container === "string"
       ? document.querySelector(container)
       : container;
@@ -873,121 +3614,420 @@
       );
     }
 
-    // Track last rendered HTML for diffing
-    let lastHTML = '';
+    // Each app has its own router, store and lifecycle, so several can share a page
+    const router = createRouter();
+    // Persistence options: storageKey, storage, version, migrations, saveThrottle
+    const storageKey = config.storageKey || defaultStorageKey(container, element);
+    if (appStorageKeys.has(storageKey)) {
+      console.warn(`Miojo: another app already saves under storageKey "${storageKey}"; pass a different storageKey to keep their persisted state apart`);
+    }
+    appStorageKeys.add(storageKey);
+    const store = createStore(['storage', 'version', 'migrations', 'saveThrottle']
+      .filter((key) => config[key] !== undefined)
+      .reduce((acc, key) => ({ ...acc, [key]: config[key] }), { storageKey }));
+
+    // Event directive handlers available to every view
+    const appHandlers = new Map();
+
+    // A view is an element the app renders into: the container, or the outlet of a
+    // route layout. Each tracks its last rendered HTML for diffing, the handlers
+    // passed to its current render, its directives, bound form controls and lifecycle.
+    const createView = (el, lifecycle) => {
+      const view = { element: el, lastHTML: '', handlers: {}, lifecycle };
+      view.events = EventDirectives.create(el, (name) => view.handlers[name] || appHandlers.get(name));
+      view.forms = FormBinding.create(el, { get: store.get, set: store.set });
+      return view;
+    };
+
+    // bindState renderers still subscribed, cleaned up by destroy()
+    const bindings = new Set();
+    const stopSyncing = [];
+
+    // views[depth] renders the route level at that depth; app.render targets the current one
+    const views = [createView(element, createLifecycle())];
+    let currentView = views[0];
+
+    // First outlet in a view that is not inside a nested component or outlet
+    const findOutlet = (el) => Array.from(el.querySelectorAll(`[${OUTLET_ATTR}]`))
+      .find((outlet) => !outermostBoundary(el, outlet.parentNode));
+
+    router.onLevel({
+      enter: (depth, level) => {
+        if (depth === 0) {
+          currentView = views[0];
+          return;
+        }
+
+        const outlet = findOutlet(views[depth - 1].element);
+        if (!outlet) {
+          throw new Error(
+            `Miojo Error: No outlet for the child routes of "${level.pattern}"\n` +
+            `Add an element with the ${OUTLET_ATTR} attribute to the parent route's layout`
+          );
+        }
+
+        if (!views[depth] || views[depth].element !== outlet) {
+          views[depth] = createView(outlet, createLifecycle());
+        }
+        currentView = views[depth];
+      },
+
+      leave: (depth) => {
+        const view = views[depth];
+        if (!view) return;
+
+        view.lifecycle.triggerUnload();
+        Head.remove(levelHeadOwner(depth));
+        if (depth > 0) {
+          Components.destroyAll(view.element);
+          views.length = depth;
+        }
+      },
+
+      // Pending and error views given as templates
+      render: (template, data) => renderView(currentView, template, data, {}),
+    });
+
+    // Router options given to createApp; the mode is 'history' (default), 'hash' or 'memory'
+    const routerOptions = ['mode', 'initialPath', 'scroll', 'prefetch', 'pendingView', 'errorView']
+      .filter((key) => config[key] !== undefined)
+      .reduce((acc, key) => ({ ...acc, [key]: config[key] }), {});
+    router.configure(routerOptions);
+
+    // After navigating, focus moves to the new view's heading (config.focus: a selector,
+    // or false) and a live region announces the page for screen reader users
+    const focusSelector = config.focus === undefined ? 'h1' : config.focus;
+    let liveRegion = null;
+    let lastTitle = document.title;
+
+    const announce = (text) => {
+      if (!liveRegion) {
+        liveRegion = document.createElement('div');
+        liveRegion.setAttribute('aria-live', 'polite');
+        liveRegion.setAttribute('aria-atomic', 'true');
+        liveRegion.setAttribute('data-miojo-announcer', '');
+        liveRegion.style.cssText = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;' +
+          'overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;border:0';
+        document.body.appendChild(liveRegion);
+      }
+      liveRegion.textContent = text;
+    };
+
+    const focusView = () => {
+      if (!focusSelector) return null;
+      const target = currentView.element.querySelector(focusSelector) || element.querySelector(focusSelector);
+      if (!target) return null;
+
+      // Headings aren't focusable on their own
+      if (target.tabIndex < 0 && !target.hasAttribute('tabindex')) {
+        target.setAttribute('tabindex', '-1');
+        target.addEventListener('blur', () => target.removeAttribute('tabindex'), { once: true });
+      }
+      target.focus({ preventScroll: true });
+      return target;
+    };
+
+    // Head data: app defaults from config.head, then one source per route level
+    const appHeadOwner = {};
+    const levelHeadOwners = [];
+    const levelHeadOwner = (depth) => levelHeadOwners[depth] || (levelHeadOwners[depth] = {});
+
+    // Route heads are templates rendered with the level's params, query and loader data,
+    // or functions called with (params, { query, data })
+    const resolveRouteHead = (head, params, query, data) =>
+      Head.resolve(head, { ...params, params, query, data }, [params, { query, data }], app);
+
+    const applyRouteHeads = (matched) => {
+      matched.forEach(({ definition, params, data }, depth) => {
+        if (definition.head) {
+          const head = resolveRouteHead(definition.head, params, router.current().query, data);
+          Head.set(levelHeadOwner(depth), head, Head.PRIORITY.route + depth);
+        } else {
+          Head.remove(levelHeadOwner(depth));
+        }
+      });
+      levelHeadOwners.slice(matched.length).forEach((owner) => Head.remove(owner));
+    };
+
+    // Not on the first navigation: the page just loaded and the browser handles it.
+    // Nor when only the query or hash changed, e.g. a search field updating ?q= as you type.
+    router.afterRoute((path, params, { to, from }) => {
+      applyRouteHeads(to.matched);
+
+      if (!from || from.path === to.path) {
+        lastTitle = document.title;
+        return;
+      }
+
+      const heading = focusView();
+      if (config.announce !== false) {
+        const titleChanged = document.title !== lastTitle;
+        announce((titleChanged || !heading ? document.title : heading.textContent.trim()) || path);
+      }
+      lastTitle = document.title;
+    });
+
+    const renderView = (view, template, data, options) => {
+      const { element: target, lifecycle } = view;
+      lifecycle.triggerUnload();
+      view.handlers = options.handlers || {};
+
+      try {
+        // Templates may be strings or functions returned by TemplateEngine.precompile
+        const renderTemplate = typeof template === 'function'
+          ? template
+          : TemplateEngine.precompile(template);
+        const compiledHTML = renderTemplate(data, app);
+
+        if (useDiff) {
+          // Use intelligent DOM diffing
+          DOMDiff.diff(target, view.lastHTML, compiledHTML);
+          view.lastHTML = compiledHTML;
+        } else {
+          // Fallback to innerHTML (faster but loses focus)
+          target.innerHTML = compiledHTML;
+        }
+      } catch (error) {
+        console.error('Render error:', error);
+        const errorHTML = `<div style="color: red; padding: 20px;">
+          <strong>Render Error:</strong> ${TemplateEngine.escapeHTML(error.message)}
+        </div>`;
+
+        if (useDiff) {
+          DOMDiff.diff(target, view.lastHTML, errorHTML);
+          view.lastHTML = errorHTML;
+        } else {
+          target.innerHTML = errorHTML;
+        }
+      }
+
+      // Mount components, then wire @event directives and bound form controls
+      // for this view; removed again when it unloads
+      Components.mount(target, target, app);
+      view.events.bind();
+      view.forms.bind();
+      lifecycle.onUnload(view.events.unbind);
+      lifecycle.onUnload(view.forms.unbind);
+
+      lifecycle.promoteAndLoad();
+    };
 
     const app = {
       // Router methods
-      route: Router.add,
-      navigate: Router.navigate,
-      beforeRoute: Router.beforeRoute,
-      afterRoute: Router.afterRoute,
-      notFound: Router.notFound,
+      route: router.add,
+      navigate: router.navigate,
+      back: router.back,
+      forward: router.forward,
+      beforeRoute: router.beforeRoute,
+      afterRoute: router.afterRoute,
+      notFound: router.notFound,
+      url: router.url,
+      prefetch: router.prefetch,
+
+      // Head data for a URL without rendering it, for a server-side or prerender step.
+      // Runs the route's loaders unless `data` is given; Head.toHTML(head) gives the tags.
+      headFor: async (url, data) => {
+        const match = router.match(url);
+        const heads = [config.head ? Head.resolve(config.head, {}, [], app) : {}];
+
+        if (match) {
+          for (const { definition, params } of match.matched) {
+            if (!definition.head) continue;
+            const levelData = data !== undefined || !definition.load
+              ? data
+              : await definition.load(params, match.query, { signal: new AbortController().signal, to: match, from: null });
+            heads.push(resolveRouteHead(definition.head, params, match.query, levelData));
+          }
+        }
+
+        return Head.compose(heads);
+      },
 
       // State methods
       setState: curry((key, value) => {
-        State.set(key, value);
+        store.set(key, value);
         return app;
       }),
 
-      getState: State.get,
+      getState: store.get,
 
       updateState: curry((key, updater) => {
-        State.update(key, updater);
+        store.update(key, updater);
         return app;
       }),
 
-      subscribe: State.subscribe,
-      computed: State.computed,
-      persist: (key) => {
-        State.persist(key);
+      subscribe: store.subscribe,
+      computed: store.computed,
+
+      batch: (fn) => {
+        store.batch(fn);
+        return app;
+      },
+
+      // Run pending scheduled renders now (useful in tests)
+      flush: () => {
+        Scheduler.flush();
+        return app;
+      },
+      persist: (key, options) => {
+        store.persist(key, options);
         return app;
       },
 
-      // Lifecycle methods
-      onLoad: Lifecycle.onLoad,
-      onUnload: Lifecycle.onUnload,
+      // Actions, reducers and middleware of this app's store
+      dispatch: store.dispatch,
+      action: store.action,
 
-      // Rendering
-      render: (template, data = {}) => {
-        Lifecycle.triggerUnload();
+      reducer: (key, reducer) => {
+        store.reducer(key, reducer);
+        return app;
+      },
 
-        try {
-          const compiledHTML = TemplateEngine.compile(data, template);
+      use: (...added) => {
+        store.use(...added);
+        return app;
+      },
 
-          if (useDiff) {
-            // Use intelligent DOM diffing
-            DOMDiff.diff(element, lastHTML, compiledHTML);
-            lastHTML = compiledHTML;
-          } else {
-            // Fallback to innerHTML (faster but loses focus)
-            element.innerHTML = compiledHTML;
-          }
-        } catch (error) {
-          console.error('Render error:', error);
-          const errorHTML = `<div style="color: red; padding: 20px;">
-            <strong>Render Error:</strong> ${TemplateEngine.escapeHTML(error.message)}
-          </div>`;
-
-          if (useDiff) {
-            DOMDiff.diff(element, lastHTML, errorHTML);
-            lastHTML = errorHTML;
-          } else {
-            element.innerHTML = errorHTML;
-          }
-        }
+      // Share keys with this app in other tabs (same storageKey); stopped by destroy()
+      sync: (keys) => {
+        stopSyncing.push(store.sync(keys));
+        return app;
+      },
 
-        Lifecycle.promoteAndLoad();
+      // Undo/redo over this app's state: { keys, limit, groupWithin }
+      history: (options) => createHistory(store, options),
+
+      // Lifecycle methods, scoped to the current view
+      onLoad: (cb) => {
+        currentView.lifecycle.onLoad(cb);
+        return app;
+      },
+
+      onUnload: (cb) => {
+        currentView.lifecycle.onUnload(cb);
+        return app;
+      },
+
+      // Rendering into the current view: the container, or the outlet of the
+      // parent layout while a nested route's handler runs
+      render: (template, data = {}, options = {}) => {
+        renderView(currentView, template, data, options);
         return app;
       },
 
       template: curry((templateStr, data) => {
-        return TemplateEngine.compile(data, templateStr);
+        return TemplateEngine.compile(data, templateStr, app);
       }),
 
-      component: (name, templateStr) => {
-        return curry((data = {}) => {
-          return app.template(templateStr, data);
-        });
+      partial: (name, templateStr) => {
+        TemplateEngine.registerPartial(name, templateStr);
+        return app;
+      },
+
+      // Register an event handler available to @event directives in every view
+      handler: (name, fn) => {
+        appHandlers.set(name, fn);
+        return app;
+      },
+
+      helper: (name, fn) => {
+        TemplateEngine.registerHelper(name, fn);
+        return app;
+      },
+
+      filter: (name, fn) => {
+        TemplateEngine.registerFilter(name, fn);
+        return app;
+      },
+
+      // Object definitions register a component used as <tag-name> or {{> Name prop=value}}.
+      // A template string registers a plain partial and returns a templater (legacy).
+      component: (name, definition) => {
+        if (typeof definition === 'string') {
+          TemplateEngine.registerPartial(name, definition);
+          return curry((data = {}) => {
+            return app.template(definition, data);
+          });
+        }
+
+        Components.define(name, definition);
+        return (props = {}) => Components.hostHTML(name, props);
       },
 
       // Reactive rendering with cleanup support
       bindState: (keys, template, options = {}) => {
-        const { debounce = 0 } = options;
+        const { debounce = 0, handlers } = options;
         const unsubscribers = [];
+        // Re-renders keep targeting the view this binding was created for
+        const view = currentView;
 
-        let renderWithState = () => {
-          const stateData = Array.isArray(keys)
-            ? keys.reduce((acc, key) => ({ ...acc, [key]: State.get(key) }), {})
-            : { [keys]: State.get(keys) };
+        const renderWithState = () => {
+          // Dotted keys nest: 'user.name' renders as {{ user.name }}
+          const stateData = (Array.isArray(keys) ? keys : [keys])
+            .reduce((acc, key) => setIn(acc, splitPath(key), store.get(key)), {});
 
-          app.render(template, stateData);
+          renderView(view, template, stateData, { handlers });
         };
 
-        // Apply debouncing if specified
-        if (debounce > 0) {
-          renderWithState = helpers.debounce(renderWithState, debounce);
-        }
+        // State changes schedule one render per tick; debounce only adds a deliberate delay
+        const scheduleRender = debounce > 0
+          ? helpers.debounce(renderWithState, debounce)
+          : renderMode === 'sync'
+            ? renderWithState
+            : () => Scheduler.schedule(renderWithState, renderMode === 'frame');
 
         // Subscribe to all keys
         const keysArray = Array.isArray(keys) ? keys : [keys];
         keysArray.forEach((key) => {
-          const unsub = State.subscribe(key, renderWithState);
+          const unsub = store.subscribe(key, scheduleRender);
           unsubscribers.push(unsub);
         });
 
         // Add cleanup method to prevent memory leaks
         renderWithState.cleanup = () => {
           unsubscribers.forEach(unsub => unsub());
+          Scheduler.cancel(renderWithState);
+          bindings.delete(renderWithState);
         };
+        bindings.add(renderWithState);
 
         return renderWithState;
       },
 
+      // Links are intercepted inside the container; config.links widens that (e.g. document).
+      // config.head is rendered here, once routes are registered, so it can use url.
       init: () => {
-        Router.init();
+        if (config.head) Head.set(appHeadOwner, Head.resolve(config.head, {}, [], app), Head.PRIORITY.app);
+        router.init(config.links || element);
+        return app;
+      },
+
+      // Stops routing, unloads every view and drops the app's subscriptions,
+      // head data and announcer. The container is left as last rendered.
+      destroy: () => {
+        router.destroy();
+        Array.from(bindings).forEach((render) => render.cleanup());
+        stopSyncing.splice(0).forEach((stop) => stop());
+        store.destroy();
+        appStorageKeys.delete(storageKey);
+
+        // Innermost view first, as when leaving nested routes
+        views.slice().reverse().forEach((view) => {
+          view.lifecycle.triggerUnload();
+          Components.destroyAll(view.element);
+        });
+        views.length = 1;
+        currentView = views[0];
+
+        Head.remove(appHeadOwner);
+        levelHeadOwners.forEach((owner) => Head.remove(owner));
+        if (liveRegion) liveRegion.remove();
+        liveRegion = null;
         return app;
       },
+
+      router,
+      store,
     };
 
     return app;
@@ -999,11 +4039,21 @@
 
   const miojo = {
     createApp,
+    createRouter,
+    createStore,
+    createHistory,
+    middleware,
+    Persistence,
     Router,
     State,
     Lifecycle,
+    Head,
+    Scheduler,
     TemplateEngine,
     DOMDiff,
+    EventDirectives,
+    FormBinding,
+    Components,
     helpers,
     pipe,
     compose,